@@ -0,0 +1,140 @@
+/**
+ * Audible tab tracking
+ *
+ * Chrome reports when a tab starts or stops producing sound. This catches
+ * background playback the content script can't see (Web Audio, players in
+ * cross-origin iframes) and is reconciled with what the tracker reported.
+ */
+import { normalizeIntervals } from "./device-timeline.js";
+
+const AUDIBLE_TABS_KEY = "audibleTabs";
+const AUDIBLE_RETENTION_MS = 2 * 60 * 60 * 1000; // 2 hours
+
+let audibleQueue = Promise.resolve();
+
+/**
+ * Get audible state for all tabs
+ * @returns {Promise<Object>} Map of tabId → { since, intervals }
+ */
+const getAudibleTabs = async () => {
+  try {
+    const result = await chrome.storage.session.get(AUDIBLE_TABS_KEY);
+    return result?.[AUDIBLE_TABS_KEY] || {};
+  } catch {
+    return {};
+  }
+};
+
+/**
+ * Save audible state, dropping intervals older than the retention window
+ * @param {Object} tabs - Map of tabId → { since, intervals }
+ */
+const saveAudibleTabs = async (tabs) => {
+  const cutoff = Date.now() - AUDIBLE_RETENTION_MS;
+  Object.values(tabs).forEach((tab) => {
+    tab.intervals = tab.intervals.filter(([, end]) => end >= cutoff);
+  });
+  await chrome.storage.session.set({ [AUDIBLE_TABS_KEY]: tabs });
+};
+
+/**
+ * Run a read-modify-write on the audible state without interleaving with
+ * another change being recorded at the same time
+ * @param {Function} task - Async function
+ * @returns {Promise<*>} Task result
+ */
+const withAudibleTabs = (task) => {
+  const run = audibleQueue.then(task);
+  audibleQueue = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Record a tab becoming audible or silent
+ * @param {number} tabId - Tab id
+ * @param {boolean} audible - New audible state
+ */
+const recordAudibleChange = (tabId, audible) => {
+  const now = Date.now();
+
+  return withAudibleTabs(async () => {
+    const tabs = await getAudibleTabs();
+    const tab = tabs[tabId] || { since: null, intervals: [] };
+
+    if (audible && tab.since === null) {
+      tab.since = now;
+    } else if (!audible && tab.since !== null) {
+      tab.intervals.push([tab.since, now]);
+      tab.since = null;
+    }
+
+    tabs[tabId] = tab;
+    await saveAudibleTabs(tabs);
+  });
+};
+
+/**
+ * Register tab listeners (must run at service worker startup)
+ */
+export const startAudibleTabTracking = () => {
+  chrome.tabs.onUpdated.addListener((tabId, changeInfo) => {
+    if (typeof changeInfo.audible === "boolean") {
+      recordAudibleChange(tabId, changeInfo.audible);
+    }
+  });
+
+  chrome.tabs.onRemoved.addListener((tabId) =>
+    withAudibleTabs(async () => {
+      const tabs = await getAudibleTabs();
+      if (tabs[tabId]) {
+        delete tabs[tabId];
+        await saveAudibleTabs(tabs);
+      }
+    }),
+  );
+};
+
+/**
+ * Minutes a tab was audible between start and end while not active
+ * @param {number} tabId - Tab id
+ * @param {number} start - Period start (ms)
+ * @param {number} end - Period end (ms)
+ * @param {Array} activeIntervals - Foreground intervals reported by the tab
+ * @returns {Promise<number>} Background audible minutes
+ */
+export const getBackgroundAudibleMinutes = async (
+  tabId,
+  start,
+  end,
+  activeIntervals = [],
+) => {
+  if (!Number.isFinite(start) || !Number.isFinite(end) || end <= start) {
+    return 0;
+  }
+
+  const tab = (await getAudibleTabs())[tabId];
+  if (!tab) return 0;
+
+  const audible = normalizeIntervals([
+    ...tab.intervals,
+    ...(tab.since !== null ? [[tab.since, end]] : []),
+  ]);
+  const active = normalizeIntervals(activeIntervals);
+
+  let totalMs = 0;
+  audible.forEach(([audibleStart, audibleEnd]) => {
+    const clipStart = Math.max(audibleStart, start);
+    const clipEnd = Math.min(audibleEnd, end);
+    if (clipEnd <= clipStart) return;
+
+    const foregroundMs = active.reduce((sum, [activeStart, activeEnd]) => {
+      const overlap =
+        Math.min(activeEnd, clipEnd) - Math.max(activeStart, clipStart);
+      return sum + Math.max(overlap, 0);
+    }, 0);
+
+    totalMs += clipEnd - clipStart - foregroundMs;
+  });
+
+  return +(Math.max(totalMs, 0) / 60000).toFixed(2);
+};
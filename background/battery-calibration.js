@@ -0,0 +1,114 @@
+/**
+ * Battery calibration
+ *
+ * While calibration is enabled, the offscreen document reports every change
+ * in battery level. Drain between consecutive 1% steps is credited to
+ * browsing when the laptop stayed unplugged and the user stayed active, and
+ * the total drain over time gives the device's actual browsing wattage (see
+ * storage/device-calibration-storage.js). The battery powers the whole
+ * laptop, so the screen and other apps' drain are counted as browsing too.
+ */
+import { getDeviceType } from "../calculators/carbon-calculator.js";
+import { ensureOffscreenDocument } from "../services/electricity-maps.js";
+import {
+  CALIBRATION_SETTINGS_KEY,
+  getCalibrationData,
+  getCalibrationDeviceType,
+  getCalibrationSettings,
+  resetCalibrationData,
+  saveCalibrationData,
+} from "../storage/device-calibration-storage.js";
+
+const USER_IDLE_STATE_KEY = "userIdleState";
+
+// Longer gaps between steps mean the laptop slept or samples were missed
+const MAX_STEP_MS = 30 * 60 * 1000; // 30 minutes
+
+/**
+ * Tell the offscreen document to start or stop watching the battery
+ * @param {boolean} enabled
+ */
+const setBatteryMonitor = async (enabled) => {
+  if (enabled) await ensureOffscreenDocument();
+
+  chrome.runtime.sendMessage(
+    { type: enabled ? "START_BATTERY_MONITOR" : "STOP_BATTERY_MONITOR" },
+    () => {
+      if (chrome.runtime.lastError) {
+        // No offscreen document to stop; OK
+      }
+    },
+  );
+};
+
+/**
+ * Record a battery reading from the offscreen document
+ * @param {Object} sample - { level, charging, at, levelChanged } or { unavailable: true }
+ */
+export const recordBatterySample = async (sample) => {
+  const settings = await getCalibrationSettings();
+  if (!settings.enabled) return;
+
+  // Samples from another device type would describe different hardware
+  const deviceType = await getDeviceType();
+  let data = await getCalibrationData();
+  if (getCalibrationDeviceType(data) !== deviceType) {
+    await resetCalibrationData(deviceType);
+    data = await getCalibrationData();
+  }
+
+  if (sample?.unavailable) {
+    await saveCalibrationData({ ...data, unavailable: true, lastSample: null });
+    return;
+  }
+
+  const result = await chrome.storage.local.get(USER_IDLE_STATE_KEY);
+  const idle = result?.[USER_IDLE_STATE_KEY];
+  const active = !idle || idle.state === "active";
+  const last = data.lastSample;
+
+  // Only a drop between two level changes is an exact 1% step
+  const isStep =
+    last &&
+    sample.levelChanged &&
+    last.levelChanged &&
+    !sample.charging &&
+    !last.charging &&
+    active &&
+    !(idle?.changedAt > last.at) &&
+    sample.level < last.level &&
+    sample.at - last.at <= MAX_STEP_MS;
+
+  if (isStep) {
+    data.drainedPercent += (last.level - sample.level) * 100;
+    data.hours += (sample.at - last.at) / 3600000;
+  }
+
+  await saveCalibrationData({
+    ...data,
+    deviceType,
+    charging: sample.charging,
+    unavailable: false,
+    lastSample: !sample.charging && active ? sample : null,
+  });
+};
+
+/**
+ * Resume battery sampling if calibration is on, and follow the setting
+ * (must run at service worker startup)
+ */
+export const startBatteryCalibration = () => {
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== "local" || !changes[CALIBRATION_SETTINGS_KEY]) return;
+
+    const wasEnabled = changes[CALIBRATION_SETTINGS_KEY].oldValue?.enabled;
+    const enabled = changes[CALIBRATION_SETTINGS_KEY].newValue?.enabled;
+    if (Boolean(wasEnabled) !== Boolean(enabled)) {
+      setBatteryMonitor(Boolean(enabled));
+    }
+  });
+
+  getCalibrationSettings().then(({ enabled }) => {
+    if (enabled) setBatteryMonitor(true);
+  });
+};
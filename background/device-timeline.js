@@ -0,0 +1,137 @@
+/**
+ * Device energy timeline
+ *
+ * Every tab reports the wall-clock intervals it was active. A device only
+ * draws its browsing wattage once, so when tabs overlap (side-by-side
+ * windows, a visible tab next to a focused one) each overlapping slice of
+ * time is split evenly across the tabs that shared it.
+ */
+
+const DEVICE_TIMELINE_KEY = "deviceTimeline";
+const TIMELINE_RETENTION_MS = 2 * 60 * 60 * 1000; // 2 hours
+
+let timelineQueue = Promise.resolve();
+
+/**
+ * Validate intervals reported by a tracker
+ * @param {Array} intervals - [[startMs, endMs], ...]
+ * @returns {Array<[number, number]>} Sorted, well-formed intervals
+ */
+export const normalizeIntervals = (intervals) => {
+  if (!Array.isArray(intervals)) return [];
+
+  const now = Date.now();
+  return intervals
+    .filter(
+      (interval) =>
+        Array.isArray(interval) &&
+        Number.isFinite(interval[0]) &&
+        Number.isFinite(interval[1]),
+    )
+    .map(([start, end]) => [start, Math.min(end, now)])
+    .filter(([start, end]) => end > start)
+    .sort((a, b) => a[0] - b[0]);
+};
+
+/**
+ * Split device time across tabs that were active at the same moment. The
+ * entries' boundaries are swept once in order, keeping the set of entries
+ * active over each slice.
+ * @param {Array<{eventId: *, tabId: number, start: number, end: number}>} entries
+ * @returns {Map<*, number>} Device minutes attributed to each eventId
+ */
+export const splitDeviceMinutes = (entries) => {
+  const points = entries
+    .flatMap((entry) => [
+      { at: entry.start, entry, opens: true },
+      { at: entry.end, entry, opens: false },
+    ])
+    .sort((a, b) => a.at - b.at);
+
+  const shares = new Map();
+  entries.forEach((entry) => shares.set(entry.eventId, 0));
+
+  const active = new Set();
+  const tabCounts = new Map();
+  let i = 0;
+  while (i < points.length) {
+    const sliceStart = points[i].at;
+    for (; i < points.length && points[i].at === sliceStart; i++) {
+      const { entry, opens } = points[i];
+      const count = (tabCounts.get(entry.tabId) || 0) + (opens ? 1 : -1);
+      if (opens) active.add(entry);
+      else active.delete(entry);
+      if (count > 0) tabCounts.set(entry.tabId, count);
+      else tabCounts.delete(entry.tabId);
+    }
+    if (i === points.length || active.size === 0) continue;
+
+    // A tab that reported the same slice twice still counts once
+    const sliceMs = (points[i].at - sliceStart) / tabCounts.size;
+    active.forEach((entry) => {
+      shares.set(entry.eventId, shares.get(entry.eventId) + sliceMs);
+    });
+  }
+
+  shares.forEach((ms, eventId) =>
+    shares.set(eventId, +(ms / 60000).toFixed(2)),
+  );
+  return shares;
+};
+
+/**
+ * Clip timeline entries to a set of intervals, dropping those outside them.
+ * A new event only changes how time inside its own intervals is shared, so
+ * splitting the clipped entries before and after adding it gives every
+ * other event's change in device minutes.
+ * @param {Array} entries - Timeline entries
+ * @param {Array<[number, number]>} intervals - Output of normalizeIntervals()
+ * @returns {Array} Clipped entries
+ */
+export const clipToIntervals = (entries, intervals) =>
+  entries.flatMap((entry) =>
+    intervals
+      .filter(([start, end]) => entry.start < end && entry.end > start)
+      .map(([start, end]) => ({
+        ...entry,
+        start: Math.max(entry.start, start),
+        end: Math.min(entry.end, end),
+      })),
+  );
+
+/**
+ * Get recent timeline entries
+ * @returns {Promise<Array>} Timeline entries
+ */
+export const getDeviceTimeline = async () => {
+  try {
+    const result = await chrome.storage.session.get(DEVICE_TIMELINE_KEY);
+    const entries = result?.[DEVICE_TIMELINE_KEY];
+    return Array.isArray(entries) ? entries : [];
+  } catch {
+    return [];
+  }
+};
+
+/**
+ * Save timeline entries, dropping those older than the retention window
+ * @param {Array} entries - Timeline entries
+ */
+export const saveDeviceTimeline = async (entries) => {
+  const cutoff = Date.now() - TIMELINE_RETENTION_MS;
+  await chrome.storage.session.set({
+    [DEVICE_TIMELINE_KEY]: entries.filter((entry) => entry.end >= cutoff),
+  });
+};
+
+/**
+ * Run a read-modify-write on the timeline without interleaving with
+ * another event being processed at the same time
+ * @param {Function} task - Async function
+ * @returns {Promise<*>} Task result
+ */
+export const withDeviceTimeline = (task) => {
+  const run = timelineQueue.then(task);
+  timelineQueue = run.catch(() => {});
+  return run;
+};
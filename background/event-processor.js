@@ -5,24 +5,70 @@
  */
 import { TrackingStorage } from "../storage/tracking-storage.js";
 import {
-  calculateTotalCarbon,
-  calculateCarbonRate,
+  estimateCpuUtilisation,
+  getAccessNetwork,
+  getDeviceCalibration,
   getDeviceEnergyConsumption,
+  getDeviceMinutes,
+  getDevicePowerRange,
+  getEmbodiedCarbonRate,
+  getLoadAwareWatts,
 } from "../calculators/carbon-calculator.js";
+import {
+  calculateModelCarbon,
+  getCarbonModel,
+  getSelectedCarbonModel,
+} from "../calculators/carbon-models.js";
 import {
   getRealtimeGridIntensity,
   getGridMultiplier,
 } from "../services/electricity-maps.js";
-import { BASELINE_GRID_INTENSITY } from "../config/energy-constants.js";
+import {
+  WEBSITE_CATEGORIES,
+  DEFAULT_SUBCATEGORY,
+  categorizeWebsite,
+  getParentCategory,
+} from "../config/categories.js";
+import { getCategoryRules } from "../storage/category-rules-storage.js";
+import {
+  getPrivacyLevel,
+  getPrivacySalt,
+  isStricterLevel,
+} from "../storage/privacy-storage.js";
+import { applyPrivacyLevel } from "./privacy.js";
+import {
+  clipToIntervals,
+  normalizeIntervals,
+  splitDeviceMinutes,
+  getDeviceTimeline,
+  saveDeviceTimeline,
+  withDeviceTimeline,
+} from "./device-timeline.js";
+import { getBackgroundAudibleMinutes } from "./audible-tabs.js";
+import { takeTabTraffic } from "./network-meter.js";
+import { attributeThirdPartyBytes } from "../services/third-party-list.js";
 
 const trackingStorage = new TrackingStorage();
 
+// Idempotency keys currently being written, so concurrent replays of the
+// same event don't race past the storage lookup
+const eventsInFlight = new Set();
+
+// Placeholder id for the event being priced before IndexedDB assigns one
+const PENDING_EVENT_ID = "pending";
+
+// Signature of the category rules stored events were categorized with
+const CATEGORY_SIGNATURE_KEY = "categoryRulesSignature";
+
+// Privacy level stored events were last scrubbed to
+const PRIVACY_APPLIED_KEY = "privacyLevelApplied";
+
 /**
  * Get date key for daily summaries
  * @param {number} timestamp - Event timestamp
  * @returns {string} Date key (YYYY-MM-DD)
  */
-const getDateKey = (timestamp) => {
+export const getDateKey = (timestamp) => {
   const date = new Date(timestamp);
   const year = date.getFullYear();
   const month = `${date.getMonth() + 1}`.padStart(2, "0");
@@ -30,42 +76,92 @@ const getDateKey = (timestamp) => {
   return `${year}-${month}-${day}`;
 };
 
+/**
+ * Add carbon to a daily summary's category and subcategory totals
+ * @param {Object} summary - Daily summary (modified in place)
+ * @param {string} type - Event subcategory
+ * @param {number} grams - Carbon to add (negative to remove)
+ */
+const addCategoryGrams = (summary, type, grams) => {
+  const parent = getParentCategory(type);
+  summary.byCategory[parent] = (summary.byCategory[parent] || 0) + grams;
+
+  // Summaries written before subcategories existed don't have this
+  if (!summary.bySubcategory) summary.bySubcategory = {};
+  summary.bySubcategory[type] = (summary.bySubcategory[type] || 0) + grams;
+};
+
+/**
+ * Empty daily summary
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @returns {Object} Daily summary with zero totals
+ */
+const createDailySummary = (dateKey) => ({
+  date: dateKey,
+  totalCarbon: 0,
+  byCategory: { media: 0, shopping: 0, browsing: 0 },
+  bySubcategory: {},
+  byPlatform: {},
+});
+
 /**
  * Update daily summary with new event
  * @param {Object} eventRecord - Event record
+ * @param {number} grams - Carbon to add (defaults to the event's total)
  */
-const updateDailySummary = async (eventRecord) => {
+const updateDailySummary = async (
+  eventRecord,
+  grams = eventRecord.carbonGrams,
+) => {
   const dateKey = getDateKey(eventRecord.timestamp);
-  const existing = (await trackingStorage.getDailySummary(dateKey)) || {
-    date: dateKey,
-    totalCarbon: 0,
-    byCategory: { media: 0, shopping: 0, browsing: 0 },
-    byPlatform: {},
-  };
+  const existing =
+    (await trackingStorage.getDailySummary(dateKey)) ||
+    createDailySummary(dateKey);
 
-  existing.totalCarbon += eventRecord.carbonGrams;
-
-  const category = eventRecord.type || "browsing";
-  if (!existing.byCategory[category]) {
-    existing.byCategory[category] = 0;
-  }
-  existing.byCategory[category] += eventRecord.carbonGrams;
+  existing.totalCarbon += grams;
+  addCategoryGrams(existing, eventRecord.type || DEFAULT_SUBCATEGORY, grams);
 
   if (!existing.byPlatform[eventRecord.platform]) {
     existing.byPlatform[eventRecord.platform] = 0;
   }
-  existing.byPlatform[eventRecord.platform] += eventRecord.carbonGrams;
+  existing.byPlatform[eventRecord.platform] += grams;
 
   await trackingStorage.saveDailySummary(existing);
 };
 
+/**
+ * Price event data with a carbon model, applying the regional grid
+ * multiplier to the model's local segments
+ * @param {Object} data - Event data
+ * @param {Object} options - { model, deviceWatts, calibrationConfidence, embodiedGramsPerMinute, gridMultiplier, gridIsEstimated }
+ * @returns {{carbonGrams: number, carbonRate: number, carbonRange: Object, carbonSegments: Object}}
+ */
+const priceEventData = (data, { model, ...options }) => {
+  const { carbonGrams, carbonRate, carbonRange, segments } =
+    calculateModelCarbon(model, data, options);
+  return { carbonGrams, carbonRate, carbonRange, carbonSegments: segments };
+};
+
 /**
  * Calculate carbon emissions with regional grid data
  * @param {Object} payload - Event data from tracker
  * @returns {Promise<Object>} Carbon calculation result with grid context
  */
 export const calculateEventCarbon = async (payload) => {
-  const deviceWatts = await getDeviceEnergyConsumption();
+  // Scale device power with the page's CPU load; pages without CPU signals
+  // get the device's typical browsing figure
+  const cpuUtilisation = estimateCpuUtilisation(
+    payload.cpuActivity,
+    payload.timeActive,
+  );
+  const deviceWatts =
+    cpuUtilisation === null
+      ? await getDeviceEnergyConsumption()
+      : getLoadAwareWatts(await getDevicePowerRange(), cpuUtilisation);
+  const calibration = await getDeviceCalibration();
+  const deviceCalibrated = Boolean(calibration);
+  const calibrationConfidence = calibration?.confidence.score ?? 0;
+  const embodiedGramsPerMinute = await getEmbodiedCarbonRate();
   const gridData = await getRealtimeGridIntensity();
   const gridIntensity =
     typeof gridData?.intensity === "number" &&
@@ -74,51 +170,366 @@ export const calculateEventCarbon = async (payload) => {
       : null;
 
   const gridMultiplier = getGridMultiplier(gridIntensity);
-
-  const baselineCarbon = calculateTotalCarbon(payload, {
-    carbonIntensity: BASELINE_GRID_INTENSITY,
-    deviceWatts,
-  });
-
-  const carbonGrams = gridMultiplier !== null
-    ? +(baselineCarbon * gridMultiplier).toFixed(2)
-    : baselineCarbon;
-
-  const baselineCarbonRate = calculateCarbonRate(payload, {
-    carbonIntensity: BASELINE_GRID_INTENSITY,
-    deviceWatts,
-  });
-  const carbonRate = gridMultiplier !== null
-    ? +(baselineCarbonRate * gridMultiplier).toFixed(2)
-    : baselineCarbonRate;
+  const gridIsEstimated =
+    typeof gridData?.isEstimated === "boolean" ? gridData.isEstimated : null;
+  const model = await getSelectedCarbonModel();
+  const { carbonGrams, carbonRate, carbonRange, carbonSegments } =
+    priceEventData(payload, {
+      model,
+      deviceWatts,
+      calibrationConfidence,
+      embodiedGramsPerMinute,
+      gridMultiplier,
+      gridIsEstimated,
+    });
 
   return {
     carbonGrams,
     carbonRate,
+    carbonRange,
+    carbonSegments,
+    carbonModel: { id: model.id, version: model.version },
+    deviceWatts,
+    deviceCalibrated,
+    calibrationConfidence,
+    embodiedGramsPerMinute,
+    cpuUtilisation,
+    accessNetwork: getAccessNetwork(payload.connection),
     gridIntensity,
     gridZone: typeof gridData?.zone === "string" ? gridData.zone : null,
     gridMultiplier,
-    gridIsEstimated:
-      typeof gridData?.isEstimated === "boolean" ? gridData.isEstimated : null,
+    gridIsEstimated,
+  };
+};
+
+/**
+ * Re-price a saved event after its share of device time changed
+ * @param {number} eventId - IndexedDB event id
+ * @param {number} change - Change in its share of device time, in minutes
+ */
+const repriceDeviceMinutes = async (eventId, change) => {
+  const event = await trackingStorage.getEvent(eventId);
+  if (!event) return;
+
+  const deviceMinutes = Math.max(
+    +(getDeviceMinutes(event.data) + change).toFixed(2),
+    0,
+  );
+  const data = { ...event.data, deviceMinutes };
+  const deviceWatts =
+    event.data.deviceWatts ?? (await getDeviceEnergyConsumption());
+  // Keep the model that priced the event; switching models only applies to
+  // new events
+  const { carbonGrams, carbonRate, carbonRange, carbonSegments } =
+    priceEventData(data, {
+      model: getCarbonModel(event.data.carbonModel?.id),
+      deviceWatts,
+      calibrationConfidence: event.data.deviceCalibrated
+        ? (event.data.calibrationConfidence ?? 0)
+        : 0,
+      embodiedGramsPerMinute: event.data.embodiedGramsPerMinute ?? 0,
+      gridMultiplier: event.data.gridMultiplier ?? null,
+      gridIsEstimated: event.data.gridIsEstimated ?? null,
+    });
+
+  const updated = {
+    ...event,
+    data,
+    carbonGrams,
+    carbonRate,
+    carbonRange,
+    carbonSegments,
   };
+  await trackingStorage.updateEvent(updated);
+  await updateDailySummary(updated, carbonGrams - (event.carbonGrams || 0));
+};
+
+/**
+ * Fingerprint the category rules so a change can be detected
+ * @param {Array} userRules - The user's ordered rules
+ * @returns {string} Hash of WEBSITE_CATEGORIES and the user's rules
+ */
+const getCategoryRulesSignature = (userRules) => {
+  const text = JSON.stringify([WEBSITE_CATEGORIES, userRules]);
+  let hash = 5381;
+  for (let i = 0; i < text.length; i++) {
+    hash = ((hash << 5) + hash + text.charCodeAt(i)) | 0;
+  }
+  return (hash >>> 0).toString(16);
+};
+
+/**
+ * Re-categorize every stored event with the current rules, moving its
+ * carbon between categories in the daily summaries
+ * @returns {Promise<number>} Number of events whose category changed
+ */
+export const recategorizeEvents = () =>
+  // Queued with timeline re-pricing, which also rewrites stored events
+  withDeviceTimeline(async () => {
+    const userRules = await getCategoryRules();
+    const events = await trackingStorage.getEventsInRange(
+      new Date(0),
+      new Date(),
+    );
+    let changed = 0;
+
+    for (const event of events) {
+      // Hashed events have no readable domain, so they keep the category
+      // they were saved with; domain-only events are matched on the domain
+      // alone
+      const level = event.data?.privacyLevel;
+      if (level === "hashed") continue;
+
+      const type = categorizeWebsite(
+        event.platform || "",
+        level === "domain" ? "/" : event.data?.path,
+        userRules,
+      );
+      if (type === event.type) continue;
+
+      await trackingStorage.updateEvent({ ...event, type });
+
+      const summary = await trackingStorage.getDailySummary(
+        getDateKey(event.timestamp),
+      );
+      if (summary) {
+        const grams = event.carbonGrams || 0;
+        addCategoryGrams(summary, event.type || DEFAULT_SUBCATEGORY, -grams);
+        addCategoryGrams(summary, type, grams);
+        await trackingStorage.saveDailySummary(summary);
+      }
+      changed++;
+    }
+
+    return changed;
+  });
+
+/**
+ * Re-categorize stored events if the built-in or user category rules
+ * changed since the last run
+ */
+export const ensureEventsCategorized = async () => {
+  const signature = getCategoryRulesSignature(await getCategoryRules());
+  const result = await chrome.storage.local.get(CATEGORY_SIGNATURE_KEY);
+  if (result?.[CATEGORY_SIGNATURE_KEY] === signature) return;
+
+  try {
+    const changed = await recategorizeEvents();
+    await chrome.storage.local.set({ [CATEGORY_SIGNATURE_KEY]: signature });
+    if (changed > 0) console.log(`Re-categorized ${changed} events`);
+  } catch (error) {
+    console.warn("Event re-categorization failed:", error);
+  }
+};
+
+/**
+ * Scrub every stored event down to the current privacy level, renaming
+ * per-site totals in the daily summaries when domains get hashed
+ * @param {string} level - Key of PRIVACY_LEVELS
+ * @returns {Promise<number>} Number of events scrubbed
+ */
+export const scrubStoredEvents = (level) =>
+  withDeviceTimeline(async () => {
+    const salt = await getPrivacySalt();
+    const events = await trackingStorage.getEventsInRange(
+      new Date(0),
+      new Date(),
+    );
+    const renamedByDate = new Map();
+    let scrubbed = 0;
+
+    for (const event of events) {
+      const updated = await applyPrivacyLevel(event, level, salt);
+      if (updated === event) continue;
+
+      await trackingStorage.updateEvent(updated);
+      scrubbed++;
+
+      if (updated.platform !== event.platform) {
+        const dateKey = getDateKey(event.timestamp);
+        if (!renamedByDate.has(dateKey)) renamedByDate.set(dateKey, new Map());
+        renamedByDate.get(dateKey).set(event.platform, updated.platform);
+      }
+    }
+
+    for (const [dateKey, renamed] of renamedByDate) {
+      const summary = await trackingStorage.getDailySummary(dateKey);
+      if (!summary?.byPlatform) continue;
+
+      const byPlatform = {};
+      Object.entries(summary.byPlatform).forEach(([platform, grams]) => {
+        const key = renamed.get(platform) || platform;
+        byPlatform[key] = (byPlatform[key] || 0) + grams;
+      });
+      await trackingStorage.saveDailySummary({ ...summary, byPlatform });
+    }
+
+    return scrubbed;
+  });
+
+/**
+ * One-off scrub of events stored before the privacy level was tightened
+ * (including events saved with full URLs before levels existed)
+ */
+export const ensurePrivacyApplied = async () => {
+  const level = await getPrivacyLevel();
+  const result = await chrome.storage.local.get(PRIVACY_APPLIED_KEY);
+  const applied = result?.[PRIVACY_APPLIED_KEY] || "full";
+  if (applied === level) return;
+
+  try {
+    if (isStricterLevel(level, applied)) {
+      const scrubbed = await scrubStoredEvents(level);
+      if (scrubbed > 0) console.log(`Scrubbed URLs from ${scrubbed} events`);
+    }
+    await chrome.storage.local.set({ [PRIVACY_APPLIED_KEY]: level });
+  } catch (error) {
+    console.warn("Stored event scrub failed:", error);
+  }
 };
 
+/**
+ * Re-price every event on one day from its stored data under the current
+ * settings (model, device, grid baseline) and rebuild that day's summary.
+ * Running a day twice gives the same result, so an interrupted run can
+ * simply redo the day.
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @param {Object|null} currentGrid - Reading for events saved without one
+ * @returns {Promise<number>} Number of events re-priced
+ */
+export const recalculateDay = (dateKey, currentGrid) =>
+  // Queued with timeline re-pricing, which also rewrites stored events
+  withDeviceTimeline(async () => {
+    const [year, month, day] = dateKey.split("-").map(Number);
+    const events = await trackingStorage.getEventsInRange(
+      new Date(year, month - 1, day),
+      new Date(year, month - 1, day, 23, 59, 59, 999),
+    );
+    const [model, typicalWatts, powerRange, calibrated, embodiedRate] =
+      await Promise.all([
+        getSelectedCarbonModel(),
+        getDeviceEnergyConsumption(),
+        getDevicePowerRange(),
+        getDeviceCalibration(),
+        getEmbodiedCarbonRate(),
+      ]);
+    const summary = createDailySummary(dateKey);
+
+    for (const event of events) {
+      const data = { ...event.data };
+
+      // Events saved before an API key was added get today's regional
+      // reading; historical intensity isn't available
+      if (typeof data.gridIntensity !== "number" && currentGrid) {
+        data.gridIntensity = currentGrid.intensity;
+        data.gridZone = currentGrid.zone;
+        data.gridIsEstimated = currentGrid.isEstimated;
+        data.gridBackfilled = true;
+      }
+      data.gridMultiplier = getGridMultiplier(data.gridIntensity);
+
+      const cpuUtilisation = data.cpuUtilisation ?? null;
+      data.deviceWatts =
+        cpuUtilisation === null
+          ? typicalWatts
+          : getLoadAwareWatts(powerRange, cpuUtilisation);
+      data.deviceCalibrated = Boolean(calibrated);
+      data.calibrationConfidence = calibrated?.confidence.score ?? 0;
+      data.embodiedGramsPerMinute = embodiedRate;
+      data.carbonModel = { id: model.id, version: model.version };
+
+      const { carbonGrams, carbonRate, carbonRange, carbonSegments } =
+        priceEventData(data, {
+          model,
+          deviceWatts: data.deviceWatts,
+          calibrationConfidence: data.calibrationConfidence,
+          embodiedGramsPerMinute: embodiedRate,
+          gridMultiplier: data.gridMultiplier,
+          gridIsEstimated: data.gridIsEstimated ?? null,
+        });
+      await trackingStorage.updateEvent({
+        ...event,
+        data,
+        carbonGrams,
+        carbonRate,
+        carbonRange,
+        carbonSegments,
+      });
+
+      summary.totalCarbon += carbonGrams;
+      addCategoryGrams(summary, event.type || DEFAULT_SUBCATEGORY, carbonGrams);
+      summary.byPlatform[event.platform] =
+        (summary.byPlatform[event.platform] || 0) + carbonGrams;
+    }
+
+    if (events.length > 0 || (await trackingStorage.getDailySummary(dateKey))) {
+      await trackingStorage.saveDailySummary(summary);
+    }
+
+    return events.length;
+  });
+
 /**
  * Process tracking event from content script
+ *
+ * Events replayed from a tracker outbox carry an idempotencyKey; keys that
+ * were already saved are acknowledged without being written again.
  * @param {Object} payload - Event data
  * @param {Object} sender - Message sender
  * @returns {Promise<Object>} Response object
  */
-export const processTrackingEvent = async (payload) => {
+export const processTrackingEvent = async (payload, sender) => {
+  const idempotencyKey = payload.idempotencyKey || null;
+  const tabId = sender?.tab?.id ?? null;
+
+  if (idempotencyKey) {
+    if (eventsInFlight.has(idempotencyKey)) {
+      return { ok: true, duplicate: true };
+    }
+    eventsInFlight.add(idempotencyKey);
+  }
+
+  try {
+    if (
+      idempotencyKey &&
+      (await trackingStorage.hasEventWithKey(idempotencyKey))
+    ) {
+      return { ok: true, duplicate: true };
+    }
+    return await saveTrackingEvent(payload, idempotencyKey, tabId);
+  } finally {
+    if (idempotencyKey) eventsInFlight.delete(idempotencyKey);
+  }
+};
+
+/**
+ * Calculate carbon for an event and persist it with its daily summary
+ * @param {Object} payload - Event data
+ * @param {string|null} idempotencyKey - Replay key from the tracker outbox
+ * @returns {Promise<Object>} Saved event record
+ */
+const writeEvent = async (payload, idempotencyKey) => {
   const gridContext = await calculateEventCarbon(payload);
-  const { carbonGrams, carbonRate } = gridContext;
+  const { carbonGrams, carbonRate, carbonRange, carbonSegments } = gridContext;
 
-  const eventRecord = {
+  const fullRecord = {
+    ...(idempotencyKey ? { idempotencyKey } : {}),
     timestamp: payload.timestamp || Date.now(),
-    type: payload.type || "browsing",
+    type: categorizeWebsite(
+      payload.platform || "",
+      payload.path,
+      await getCategoryRules(),
+    ),
     platform: payload.platform || "unknown",
     data: {
       ...payload,
+      carbonModel: gridContext.carbonModel,
+      deviceWatts: gridContext.deviceWatts,
+      deviceCalibrated: gridContext.deviceCalibrated,
+      calibrationConfidence: gridContext.calibrationConfidence,
+      embodiedGramsPerMinute: gridContext.embodiedGramsPerMinute,
+      cpuUtilisation: gridContext.cpuUtilisation,
+      accessNetwork: gridContext.accessNetwork,
       gridIntensity: gridContext.gridIntensity,
       gridZone: gridContext.gridZone,
       gridMultiplier: gridContext.gridMultiplier,
@@ -126,19 +537,213 @@ export const processTrackingEvent = async (payload) => {
     },
     carbonGrams,
     carbonRate,
+    carbonRange,
+    carbonSegments,
   };
 
+  // Categorized from the full URL above, stored at the user's privacy level
+  const eventRecord = await applyPrivacyLevel(
+    fullRecord,
+    await getPrivacyLevel(),
+    await getPrivacySalt(),
+  );
+
   await trackingStorage.saveEvent(eventRecord);
   await updateDailySummary(eventRecord);
 
+  return eventRecord;
+};
+
+/**
+ * Save an event, splitting device time with other tabs that were active
+ * during the same intervals and re-pricing those tabs' earlier events
+ * @param {Object} payload - Event data
+ * @param {string|null} idempotencyKey - Replay key from the tracker outbox
+ * @param {number|null} tabId - Reporting tab
+ * @returns {Promise<Object>} Saved event record
+ */
+const writeEventOnTimeline = async (payload, idempotencyKey, tabId) => {
+  const intervals = normalizeIntervals(payload.activeIntervals);
+  if (typeof tabId !== "number" || intervals.length === 0) {
+    return writeEvent(payload, idempotencyKey);
+  }
+
+  return withDeviceTimeline(async () => {
+    const timeline = await getDeviceTimeline();
+    const pending = intervals.map(([start, end]) => ({
+      eventId: PENDING_EVENT_ID,
+      tabId,
+      start,
+      end,
+    }));
+
+    // Only time inside the new intervals is shared differently
+    const overlapping = clipToIntervals(timeline, intervals);
+    const sharesBefore = splitDeviceMinutes(overlapping);
+    const sharesAfter = splitDeviceMinutes([...overlapping, ...pending]);
+
+    const eventRecord = await writeEvent(
+      { ...payload, deviceMinutes: sharesAfter.get(PENDING_EVENT_ID) },
+      idempotencyKey,
+    );
+
+    await saveDeviceTimeline([
+      ...timeline,
+      ...pending.map((entry) => ({ ...entry, eventId: eventRecord.id })),
+    ]);
+
+    for (const [eventId, minutes] of sharesAfter) {
+      if (eventId === PENDING_EVENT_ID) continue;
+      const change = +(minutes - sharesBefore.get(eventId)).toFixed(2);
+      if (change !== 0) {
+        await repriceDeviceMinutes(eventId, change);
+      }
+    }
+
+    return eventRecord;
+  });
+};
+
+/**
+ * Top up the tracker's background media minutes with time Chrome saw the
+ * tab audible while it wasn't active (Web Audio, players in iframes)
+ * @param {Object} payload - Event data
+ * @param {number|null} tabId - Reporting tab
+ * @returns {Promise<Object>} Payload with reconciled background media
+ */
+const reconcileBackgroundMedia = async (payload, tabId) => {
+  if (typeof tabId !== "number") return payload;
+
+  const audibleMinutes = await getBackgroundAudibleMinutes(
+    tabId,
+    payload.periodStart,
+    payload.timestamp || Date.now(),
+    payload.activeIntervals,
+  );
+  const audioMinutes = payload.backgroundAudioMinutes || 0;
+  const videoMinutes = payload.backgroundVideoMinutes || 0;
+  const missingMinutes = audibleMinutes - (audioMinutes + videoMinutes);
+
+  if (missingMinutes <= 0) return payload;
+
+  return {
+    ...payload,
+    backgroundAudioMinutes: +(audioMinutes + missingMinutes).toFixed(2),
+  };
+};
+
+/**
+ * Reconcile the tracker's Performance API byte count with the bytes the
+ * webRequest meter saw for the tab, keeping whichever is larger, and add
+ * metered request bodies to the uploaded bytes
+ * @param {Object} payload - Event data
+ * @param {Object|null} metered - Output of takeTabTraffic() for the tab
+ * @returns {Object} Payload with reconciled bytes and byteSource
+ */
+const reconcileNetworkBytes = (payload, metered) => {
+  // WebSocket/WebRTC bytes never pass through webRequest, so only the
+  // HTTP share of the tracker's total is compared with the meter
+  const realtimeMB = payload.realtimeMB || 0;
+  const performanceMB = Math.max((payload.totalMB || 0) - realtimeMB, 0);
+  if (!metered) {
+    return { ...payload, byteSource: "performance" };
+  }
+
+  const byteSources = { performanceMB, webRequestMB: metered.totalMB };
+
+  // Request bodies never show up in the Performance API, and WebRTC traffic
+  // (reported by the tracker) never goes through webRequest, so they add up
+  const uploadMB = +((payload.uploadMB || 0) + metered.uploadMB).toFixed(3);
+
+  if (metered.totalMB <= performanceMB) {
+    return { ...payload, uploadMB, byteSource: "performance", byteSources };
+  }
+
+  // Cross-origin bytes the Performance API couldn't see: credit video bytes
+  // the meter recognised, the rest goes to "other"
+  const gapMB = metered.totalMB - performanceMB;
+  const extraVideoMB = Math.min(
+    Math.max(metered.videoMB - (payload.videoMB || 0), 0),
+    gapMB,
+  );
+
+  return {
+    ...payload,
+    totalMB: +(metered.totalMB + realtimeMB).toFixed(3),
+    uploadMB,
+    videoMB: +((payload.videoMB || 0) + extraVideoMB).toFixed(3),
+    otherMB: +((payload.otherMB || 0) + gapMB - extraVideoMB).toFixed(3),
+    byteSource: "webRequest",
+    byteSources,
+  };
+};
+
+/**
+ * Attribute third-party bytes to the companies that own them. Per host, the
+ * larger of the tracker's and the webRequest meter's figure is used, since
+ * cross-origin sizes are often hidden from the Performance API.
+ * @param {Object} payload - Event data
+ * @param {Object|null} metered - Output of takeTabTraffic() for the tab
+ * @returns {Promise<Object>} Payload with thirdPartyMB and thirdPartyByEntity
+ */
+const attributeThirdParty = async (payload, metered) => {
+  const { thirdPartyHosts, ...rest } = payload;
+  const mbByHost = { ...thirdPartyHosts };
+  Object.entries(metered?.mbByHost || {}).forEach(([hostname, mb]) => {
+    mbByHost[hostname] = Math.max(mbByHost[hostname] || 0, mb);
+  });
+
+  try {
+    return {
+      ...rest,
+      ...(await attributeThirdPartyBytes(mbByHost, payload.platform)),
+    };
+  } catch (error) {
+    console.warn("Third-party attribution failed:", error);
+    return rest;
+  }
+};
+
+/**
+ * Save an event and build the response sent back to the tracker
+ *
+ * Events replayed from an outbox cover an earlier period, possibly on
+ * another site, so the tab's metered traffic is left for the live page.
+ * @param {Object} payload - Event data
+ * @param {string|null} idempotencyKey - Replay key from the tracker outbox
+ * @param {number|null} tabId - Reporting tab
+ * @returns {Promise<Object>} Response object
+ */
+const saveTrackingEvent = async (
+  { replayed = false, ...payload },
+  idempotencyKey,
+  tabId,
+) => {
+  const metered =
+    typeof tabId === "number" && !replayed ? await takeTabTraffic(tabId) : null;
+  const reconciled = await attributeThirdParty(
+    reconcileNetworkBytes(
+      await reconcileBackgroundMedia(payload, tabId),
+      metered,
+    ),
+    metered,
+  );
+  const eventRecord = await writeEventOnTimeline(
+    reconciled,
+    idempotencyKey,
+    tabId,
+  );
+  const { data, carbonGrams, carbonRate, carbonRange } = eventRecord;
+
   return {
     ok: true,
     carbonGrams,
     carbonRate,
-    gridIntensity: gridContext.gridIntensity,
-    gridZone: gridContext.gridZone,
-    gridMultiplier: gridContext.gridMultiplier,
-    gridIsEstimated: gridContext.gridIsEstimated,
+    carbonRange,
+    gridIntensity: data.gridIntensity,
+    gridZone: data.gridZone,
+    gridMultiplier: data.gridMultiplier,
+    gridIsEstimated: data.gridIsEstimated,
   };
 };
 
@@ -0,0 +1,71 @@
+/**
+ * Idle monitoring
+ *
+ * chrome.idle isn't available to content scripts, so the service worker
+ * mirrors the system idle state into chrome.storage.local where trackers
+ * can read it and pause their active-time clocks. The stored state outlives
+ * a browser restart, so it's re-read from chrome.idle whenever the service
+ * worker starts.
+ */
+
+const USER_IDLE_STATE_KEY = "userIdleState";
+const IDLE_THRESHOLD_KEY = "idleThresholdMinutes";
+const DEFAULT_IDLE_THRESHOLD_MINUTES = 5;
+
+/**
+ * Convert the idle threshold from settings to chrome.idle seconds
+ * @param {number} minutes - Threshold in minutes
+ * @returns {number} Seconds
+ */
+const getIdleThresholdSeconds = (minutes) => {
+  const value = minutes > 0 ? minutes : DEFAULT_IDLE_THRESHOLD_MINUTES;
+  // chrome.idle accepts 15 seconds at minimum
+  return Math.max(Math.round(value * 60), 15);
+};
+
+/**
+ * Apply the idle threshold from settings to chrome.idle
+ * @param {number} minutes - Threshold in minutes
+ */
+const applyIdleThreshold = (minutes) => {
+  chrome.idle.setDetectionInterval(getIdleThresholdSeconds(minutes));
+};
+
+/**
+ * Store the idle state, keeping changedAt when it hasn't changed
+ * @param {string} state - active, idle or locked
+ */
+const saveIdleState = async (state) => {
+  const result = await chrome.storage.local.get(USER_IDLE_STATE_KEY);
+  if (result?.[USER_IDLE_STATE_KEY]?.state === state) return;
+
+  await chrome.storage.local.set({
+    [USER_IDLE_STATE_KEY]: { state, changedAt: Date.now() },
+  });
+};
+
+/**
+ * Register idle listeners (must run at service worker startup)
+ */
+export const startIdleMonitoring = () => {
+  chrome.idle.onStateChanged.addListener((state) => {
+    chrome.storage.local.set({
+      [USER_IDLE_STATE_KEY]: { state, changedAt: Date.now() },
+    });
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "sync" && changes[IDLE_THRESHOLD_KEY]) {
+      applyIdleThreshold(changes[IDLE_THRESHOLD_KEY].newValue);
+    }
+  });
+
+  // A state saved before the browser closed may be stale
+  chrome.storage.sync.get(IDLE_THRESHOLD_KEY).then(async (result) => {
+    const minutes = result?.[IDLE_THRESHOLD_KEY];
+    applyIdleThreshold(minutes);
+    saveIdleState(
+      await chrome.idle.queryState(getIdleThresholdSeconds(minutes)),
+    );
+  });
+};
@@ -0,0 +1,324 @@
+/**
+ * Network meter
+ *
+ * The Performance API reports a transferSize of 0 for cross-origin resources
+ * without Timing-Allow-Origin, which hides most CDN, ad and video bytes from
+ * the content script. This meter counts response sizes per tab from
+ * chrome.webRequest so the background can reconcile the two figures.
+ *
+ * Like the tracker, the meter honours the user's tracking controls: nothing
+ * is counted while tracking is paused or for tabs showing an excluded site,
+ * so no backlog can be merged into the tab's next event.
+ */
+import {
+  VIDEO_URL_PATTERNS,
+  VIDEO_URL_PATTERNS_KEY,
+} from "../config/video-urls.js";
+import {
+  EXCLUDED_DOMAINS_KEY,
+  PAUSED_UNTIL_KEY,
+  getExcludedDomains,
+  getPausedUntil,
+  isExcludedHost,
+} from "../storage/tracking-controls-storage.js";
+
+const NETWORK_METER_KEY = "networkMeter";
+const PERSIST_DELAY_MS = 1000;
+
+// Time the previous page gets to report its last bytes once its tab moves
+// to an excluded site
+const EXCLUDED_NAVIGATION_GRACE_MS = 5000;
+
+const trafficByTab = new Map();
+let trafficLoaded = null;
+let persistTimer = null;
+
+// Top-level host of each tab, from its main_frame requests
+const tabHosts = new Map();
+let controls = null;
+
+/**
+ * Restore counters saved before the service worker was suspended
+ */
+const ensureTrafficLoaded = () => {
+  if (!trafficLoaded) {
+    trafficLoaded = chrome.storage.session
+      .get(NETWORK_METER_KEY)
+      .then((result) => {
+        Object.entries(result?.[NETWORK_METER_KEY] || {}).forEach(
+          ([tabId, traffic]) => {
+            if (!trafficByTab.has(Number(tabId))) {
+              trafficByTab.set(Number(tabId), traffic);
+            }
+          },
+        );
+      })
+      .catch(() => {});
+  }
+  return trafficLoaded;
+};
+
+/**
+ * Persist counters shortly after they change
+ */
+const schedulePersist = () => {
+  if (persistTimer) return;
+  persistTimer = setTimeout(() => {
+    persistTimer = null;
+    chrome.storage.session.set({
+      [NETWORK_METER_KEY]: Object.fromEntries(trafficByTab),
+    });
+  }, PERSIST_DELAY_MS);
+};
+
+/**
+ * Load the tracking controls once, then keep them current
+ * @returns {Promise<{excludedDomains: Array<string>, pausedUntil: number|null}>}
+ */
+const getControls = async () => {
+  if (!controls) {
+    const [excludedDomains, pausedUntil] = await Promise.all([
+      getExcludedDomains(),
+      getPausedUntil(),
+    ]);
+    controls = controls || { excludedDomains, pausedUntil };
+  }
+  return controls;
+};
+
+/**
+ * Top-level host of a tab, asking Chrome when the service worker restarted
+ * since the tab navigated
+ * @param {number} tabId - Tab id
+ * @returns {Promise<string|null>} Hostname
+ */
+const getTabHost = async (tabId) => {
+  if (!tabHosts.has(tabId)) {
+    try {
+      const tab = await chrome.tabs.get(tabId);
+      tabHosts.set(tabId, new URL(tab.url || tab.pendingUrl).hostname);
+    } catch {
+      return null;
+    }
+  }
+  return tabHosts.get(tabId);
+};
+
+/**
+ * Whether a tab's traffic may be counted under the tracking controls
+ * @param {number} tabId - Tab id
+ * @returns {Promise<boolean>}
+ */
+const isTabMetered = async (tabId) => {
+  const { excludedDomains, pausedUntil } = await getControls();
+  if (typeof pausedUntil === "number" && pausedUntil > Date.now()) {
+    return false;
+  }
+  const host = await getTabHost(tabId);
+  return !host || !isExcludedHost(host, excludedDomains);
+};
+
+/**
+ * Remember where a tab is navigating. Bytes left from the previous page are
+ * dropped shortly after the tab moves to an excluded site, once the
+ * previous page has had time to report them.
+ * @param {Object} details - webRequest onBeforeRequest details
+ */
+const recordNavigation = async (details) => {
+  let host;
+  try {
+    host = new URL(details.url).hostname;
+  } catch {
+    return;
+  }
+  tabHosts.set(details.tabId, host);
+
+  const { excludedDomains } = await getControls();
+  if (!isExcludedHost(host, excludedDomains)) return;
+
+  setTimeout(async () => {
+    await ensureTrafficLoaded();
+    if (tabHosts.get(details.tabId) === host) {
+      if (trafficByTab.delete(details.tabId)) schedulePersist();
+    }
+  }, EXCLUDED_NAVIGATION_GRACE_MS);
+};
+
+/**
+ * Estimate the bytes a response put on the wire from its headers
+ * @param {Array} responseHeaders - webRequest response headers
+ * @returns {number} Body (Content-Length) plus header bytes
+ */
+export const getResponseBytes = (responseHeaders = []) => {
+  let bodyBytes = 0;
+  let headerBytes = 0;
+
+  responseHeaders.forEach(({ name, value }) => {
+    headerBytes += (name?.length || 0) + (value?.length || 0) + 4;
+    if (name?.toLowerCase() === "content-length") {
+      const length = Number.parseInt(value, 10);
+      if (Number.isFinite(length) && length > 0) bodyBytes = length;
+    }
+  });
+
+  return bodyBytes + headerBytes;
+};
+
+/**
+ * Estimate the size of an outgoing request body
+ * @param {Object} requestBody - webRequest requestBody details
+ * @returns {number} Bytes (file parts Chrome doesn't expose count as 0)
+ */
+export const getRequestBodyBytes = (requestBody) => {
+  if (!requestBody) return 0;
+
+  if (Array.isArray(requestBody.raw)) {
+    return requestBody.raw.reduce(
+      (sum, part) => sum + (part.bytes?.byteLength || 0),
+      0,
+    );
+  }
+
+  if (requestBody.formData) {
+    return Object.entries(requestBody.formData).reduce(
+      (sum, [key, values]) =>
+        sum +
+        values.reduce(
+          (valueSum, value) => valueSum + key.length + String(value).length + 1,
+          0,
+        ),
+      0,
+    );
+  }
+
+  return 0;
+};
+
+/**
+ * Get (or create) the counters for a tab
+ * @param {number} tabId - Tab id
+ * @returns {Object} Mutable counters
+ */
+const getTabTraffic = (tabId) => {
+  if (!trafficByTab.has(tabId)) {
+    trafficByTab.set(tabId, {
+      bytes: 0,
+      videoBytes: 0,
+      uploadBytes: 0,
+      requests: 0,
+      hosts: {},
+    });
+  }
+  return trafficByTab.get(tabId);
+};
+
+/**
+ * Record an outgoing request body (uploads, form posts) against its tab
+ * @param {Object} details - webRequest onBeforeRequest details
+ */
+const recordRequestBody = async (details) => {
+  if (details.tabId < 0) return;
+
+  if (details.type === "main_frame") {
+    await recordNavigation(details);
+  }
+
+  const bytes = getRequestBodyBytes(details.requestBody);
+  if (bytes === 0 || !(await isTabMetered(details.tabId))) return;
+
+  await ensureTrafficLoaded();
+  getTabTraffic(details.tabId).uploadBytes += bytes;
+  schedulePersist();
+};
+
+/**
+ * Record a completed response against its tab
+ * @param {Object} details - webRequest onCompleted details
+ */
+const recordResponse = async (details) => {
+  if (details.tabId < 0 || details.fromCache) return;
+
+  const bytes = getResponseBytes(details.responseHeaders);
+  if (bytes === 0 || !(await isTabMetered(details.tabId))) return;
+
+  await ensureTrafficLoaded();
+
+  const url = details.url.toLowerCase();
+  const isVideo =
+    details.type === "media" ||
+    VIDEO_URL_PATTERNS.some((pattern) => url.includes(pattern));
+
+  const traffic = getTabTraffic(details.tabId);
+  traffic.bytes += bytes;
+  if (isVideo) traffic.videoBytes += bytes;
+  traffic.requests++;
+
+  // Per-host bytes for third-party attribution
+  const { hostname } = new URL(details.url);
+  traffic.hosts = traffic.hosts || {};
+  traffic.hosts[hostname] = (traffic.hosts[hostname] || 0) + bytes;
+
+  schedulePersist();
+};
+
+/**
+ * Register webRequest listeners (must run at service worker startup)
+ */
+export const startNetworkMeter = () => {
+  // Shared with the content script tracker, which can't import the config
+  chrome.storage.local.set({ [VIDEO_URL_PATTERNS_KEY]: VIDEO_URL_PATTERNS });
+
+  chrome.webRequest.onBeforeRequest.addListener(
+    recordRequestBody,
+    { urls: ["<all_urls>"] },
+    ["requestBody"],
+  );
+
+  chrome.webRequest.onCompleted.addListener(
+    recordResponse,
+    { urls: ["<all_urls>"] },
+    ["responseHeaders"],
+  );
+
+  chrome.tabs.onRemoved.addListener(async (tabId) => {
+    tabHosts.delete(tabId);
+    await ensureTrafficLoaded();
+    if (trafficByTab.delete(tabId)) schedulePersist();
+  });
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (!controls) return;
+    if (areaName === "sync" && changes[EXCLUDED_DOMAINS_KEY]) {
+      controls.excludedDomains = changes[EXCLUDED_DOMAINS_KEY].newValue || [];
+    }
+    if (areaName === "local" && changes[PAUSED_UNTIL_KEY]) {
+      controls.pausedUntil = changes[PAUSED_UNTIL_KEY].newValue ?? null;
+    }
+  });
+};
+
+/**
+ * Take (and reset) the traffic metered for a tab since its last event
+ * @param {number} tabId - Tab id
+ * @returns {Promise<{totalMB: number, videoMB: number, uploadMB: number, requests: number, mbByHost: Object}>}
+ */
+export const takeTabTraffic = async (tabId) => {
+  await ensureTrafficLoaded();
+
+  const traffic = trafficByTab.get(tabId);
+  trafficByTab.delete(tabId);
+  schedulePersist();
+
+  const mbByHost = {};
+  Object.entries(traffic?.hosts || {}).forEach(([hostname, bytes]) => {
+    mbByHost[hostname] = +(bytes / 1024 / 1024).toFixed(3);
+  });
+
+  return {
+    totalMB: +((traffic?.bytes || 0) / 1024 / 1024).toFixed(3),
+    videoMB: +((traffic?.videoBytes || 0) / 1024 / 1024).toFixed(3),
+    uploadMB: +((traffic?.uploadBytes || 0) / 1024 / 1024).toFixed(3),
+    requests: traffic?.requests || 0,
+    mbByHost,
+  };
+};
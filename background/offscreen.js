@@ -44,7 +44,56 @@ const handleGeolocationRequest = (requestId) => {
   );
 };
 
+let battery = null;
+let batteryMonitoring = false;
+
+const sendBatterySample = (levelChanged) => {
+  if (!batteryMonitoring) return;
+  sendRuntimeMessage({
+    type: "BATTERY_SAMPLE",
+    payload: {
+      level: battery.level,
+      charging: battery.charging,
+      at: Date.now(),
+      levelChanged,
+    },
+  });
+};
+
+const startBatteryMonitor = async () => {
+  if (batteryMonitoring) return;
+  batteryMonitoring = true;
+
+  if (battery) {
+    sendBatterySample(false);
+    return;
+  }
+
+  if (typeof navigator.getBattery !== "function") {
+    sendRuntimeMessage({
+      type: "BATTERY_SAMPLE",
+      payload: { unavailable: true },
+    });
+    return;
+  }
+
+  battery = await navigator.getBattery();
+  battery.addEventListener("levelchange", () => sendBatterySample(true));
+  battery.addEventListener("chargingchange", () => sendBatterySample(false));
+  sendBatterySample(false);
+};
+
 chrome.runtime.onMessage.addListener((message) => {
+  if (message?.type === "START_BATTERY_MONITOR") {
+    startBatteryMonitor();
+    return;
+  }
+
+  if (message?.type === "STOP_BATTERY_MONITOR") {
+    batteryMonitoring = false;
+    return;
+  }
+
   if (message?.type !== "GET_GEOLOCATION") {
     return;
   }
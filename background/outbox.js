@@ -0,0 +1,77 @@
+/**
+ * Tracker outboxes
+ *
+ * Trackers queue unsent events in chrome.storage.local under a per-tab key,
+ * so a queue survives cross-origin navigations and extension reloads and is
+ * out of reach of the page's own scripts. Tab ids are only unique within a
+ * browser session, so when a tab closes, and for every outbox at browser
+ * startup, the background replays what's left and drops the outbox. A
+ * summary queued while a closing page was torn down is saved that way.
+ */
+import { processTrackingEvent } from "./event-processor.js";
+
+const OUTBOX_KEY_PREFIX = "outbox:";
+
+// Matches the tracker's own limit; older entries are discarded
+const OUTBOX_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+
+/**
+ * Storage key for the outbox of the tab a message came from
+ * @param {Object} sender - Message sender
+ * @returns {string|null} Key, or null for senders outside a tab
+ */
+export const getOutboxKey = (sender) =>
+  typeof sender?.tab?.id === "number"
+    ? `${OUTBOX_KEY_PREFIX}${sender.tab.id}`
+    : null;
+
+/**
+ * Save the events left in an outbox, then remove it. Events the tracker
+ * already delivered are recognised by their idempotency key and skipped.
+ * @param {string} key - Outbox storage key
+ */
+const replayOutbox = async (key) => {
+  const stored = await chrome.storage.local.get(key);
+  const entries = Array.isArray(stored?.[key]) ? stored[key] : [];
+  const cutoff = Date.now() - OUTBOX_MAX_AGE_MS;
+
+  for (const entry of entries) {
+    if (!entry?.payload?.idempotencyKey || !(entry.queuedAt >= cutoff)) {
+      continue;
+    }
+    try {
+      // No sender: the tab is gone, so there's no live traffic to reconcile
+      await processTrackingEvent(entry.payload, null);
+    } catch (error) {
+      console.warn("Could not replay queued event:", error);
+    }
+  }
+
+  await chrome.storage.local.remove(key);
+};
+
+/**
+ * Replay and remove every tracker outbox
+ */
+const replayOutboxes = async () => {
+  const stored = await chrome.storage.local.get(null);
+  const keys = Object.keys(stored).filter((key) =>
+    key.startsWith(OUTBOX_KEY_PREFIX),
+  );
+  for (const key of keys) {
+    await replayOutbox(key);
+  }
+};
+
+/**
+ * Register outbox replay (must run at service worker startup)
+ */
+export const startOutboxCleanup = () => {
+  chrome.runtime.onStartup.addListener(() => {
+    replayOutboxes().catch(() => {});
+  });
+
+  chrome.tabs.onRemoved.addListener((tabId) => {
+    replayOutbox(`${OUTBOX_KEY_PREFIX}${tabId}`).catch(() => {});
+  });
+};
@@ -0,0 +1,66 @@
+/**
+ * URL retention
+ *
+ * Strips stored events down to the user's privacy level (see
+ * storage/privacy-storage.js) before they reach IndexedDB.
+ */
+import { isStricterLevel } from "../storage/privacy-storage.js";
+
+/**
+ * Replace a domain with a salted, one-way identifier. The same domain
+ * always maps to the same id on this device, so per-site totals still work.
+ * @param {string} domain - Domain to hash
+ * @param {string} salt - This device's salt
+ * @returns {Promise<string>} e.g. "site-3fa2b1c4d5e6"
+ */
+export const hashDomain = async (domain, salt) => {
+  const digest = await crypto.subtle.digest(
+    "SHA-256",
+    new TextEncoder().encode(`${salt}:${domain}`),
+  );
+  const hex = [...new Uint8Array(digest)]
+    .map((byte) => byte.toString(16).padStart(2, "0"))
+    .join("");
+  return `site-${hex.slice(0, 12)}`;
+};
+
+/**
+ * Drop the query string and fragment from a URL, keeping hash-router paths
+ * @param {string} url - Full URL
+ * @param {string} [path] - Route path reported by the tracker
+ * @returns {string|undefined} Origin and path
+ */
+const stripQuery = (url, path) => {
+  try {
+    const { origin, pathname } = new URL(url);
+    return `${origin}${path ? path.split("?")[0] : pathname}`;
+  } catch (error) {
+    return undefined;
+  }
+};
+
+/**
+ * Reduce an event record to a privacy level. Records already stored at
+ * that level or a stricter one are returned unchanged.
+ * @param {Object} record - Event record ({ platform, data: { url, path } })
+ * @param {string} level - Key of PRIVACY_LEVELS
+ * @param {string} salt - Salt for the hashed level
+ * @returns {Promise<Object>} Scrubbed record with data.privacyLevel set
+ */
+export const applyPrivacyLevel = async (record, level, salt) => {
+  const current = record.data?.privacyLevel || "full";
+  if (!isStricterLevel(level, current)) return record;
+
+  const { url, path, ...data } = record.data || {};
+  let platform = record.platform;
+
+  if (level === "path") {
+    if (url) data.url = stripQuery(url, path);
+    if (path) data.path = path.split("?")[0];
+  } else if (level === "hashed") {
+    platform = await hashDomain(record.platform, salt);
+    data.platform = platform;
+  }
+
+  return { ...record, platform, data: { ...data, privacyLevel: level } };
+};
@@ -0,0 +1,138 @@
+/**
+ * Historical recalculation
+ *
+ * Re-prices stored events over a date range after settings or constants
+ * change, one day at a time. Progress is kept in chrome.storage.local after
+ * every day, so a service worker restart picks the job up at the next
+ * unfinished day and the dashboard can show how far it has got.
+ */
+import { getDateKey, recalculateDay } from "./event-processor.js";
+import { getRealtimeGridIntensity } from "../services/electricity-maps.js";
+import {
+  getRecalculationJob,
+  saveRecalculationJob,
+} from "../storage/recalculation-storage.js";
+
+const DATE_KEY_PATTERN = /^\d{4}-\d{2}-\d{2}$/;
+
+// Job currently running in this service worker
+let activeRun = null;
+
+/**
+ * Date key of the day after another
+ * @param {string} dateKey - Date key (YYYY-MM-DD)
+ * @returns {string} Next date key
+ */
+const getNextDateKey = (dateKey) => {
+  const [year, month, day] = dateKey.split("-").map(Number);
+  return getDateKey(new Date(year, month - 1, day + 1).getTime());
+};
+
+/**
+ * Number of days from start to end, inclusive
+ * @param {string} startDate - Date key
+ * @param {string} endDate - Date key
+ * @returns {number} Days
+ */
+const countDays = (startDate, endDate) => {
+  let days = 0;
+  for (let key = startDate; key <= endDate; key = getNextDateKey(key)) days++;
+  return days;
+};
+
+/**
+ * Work through the job's remaining days
+ * @param {Object} job - Running recalculation job
+ */
+const runRecalculationJob = async (job) => {
+  try {
+    // One reading for the whole run, for events saved without grid data
+    const currentGrid = await getRealtimeGridIntensity();
+
+    while (job.nextDate <= job.endDate) {
+      const recalculated = await recalculateDay(job.nextDate, currentGrid);
+      job = {
+        ...job,
+        nextDate: getNextDateKey(job.nextDate),
+        daysDone: job.daysDone + 1,
+        eventsDone: job.eventsDone + recalculated,
+      };
+      await saveRecalculationJob(job);
+    }
+
+    await saveRecalculationJob({
+      ...job,
+      status: "done",
+      finishedAt: Date.now(),
+    });
+    if (job.eventsDone > 0) {
+      console.log(`Recalculated ${job.eventsDone} events`);
+    }
+  } catch (error) {
+    console.warn("Historical recalculation failed:", error);
+    await saveRecalculationJob({
+      ...job,
+      status: "failed",
+      error: error.message || "Recalculation failed",
+    });
+  }
+};
+
+/**
+ * Run a job unless one is already running in this service worker
+ * @param {Object} job - Recalculation job
+ * @returns {Promise<void>}
+ */
+const runOnce = (job) => {
+  if (!activeRun) {
+    activeRun = runRecalculationJob(job).finally(() => {
+      activeRun = null;
+    });
+  }
+  return activeRun;
+};
+
+/**
+ * Start recalculating stored events between two dates
+ * @param {string} startDate - First day (YYYY-MM-DD)
+ * @param {string} endDate - Last day (YYYY-MM-DD)
+ * @returns {Promise<Object>} The new job
+ */
+export const startRecalculation = async (startDate, endDate) => {
+  if (!DATE_KEY_PATTERN.test(startDate) || !DATE_KEY_PATTERN.test(endDate)) {
+    throw new Error("Dates must be YYYY-MM-DD");
+  }
+  if (startDate > endDate) {
+    throw new Error("Start date is after end date");
+  }
+
+  const current = await getRecalculationJob();
+  if (activeRun || current?.status === "running") {
+    throw new Error("A recalculation is already running");
+  }
+
+  const job = {
+    startDate,
+    endDate,
+    nextDate: startDate,
+    status: "running",
+    daysDone: 0,
+    totalDays: countDays(startDate, endDate),
+    eventsDone: 0,
+    startedAt: Date.now(),
+    finishedAt: null,
+    error: null,
+  };
+  await saveRecalculationJob(job);
+  runOnce(job);
+  return job;
+};
+
+/**
+ * Resume a job interrupted by a service worker restart
+ * (must run at service worker startup)
+ */
+export const resumeRecalculation = async () => {
+  const job = await getRecalculationJob();
+  if (job?.status === "running") runOnce(job);
+};
@@ -3,15 +3,40 @@
  *
  * Routes messages and coordinates between services
  */
-import { processTrackingEvent, trackingStorage } from "./event-processor.js";
+import {
+  ensureEventsCategorized,
+  ensurePrivacyApplied,
+  processTrackingEvent,
+  trackingStorage,
+} from "./event-processor.js";
 import {
   requestGeolocationFromOffscreen,
   setLastKnownLocation,
 } from "../services/electricity-maps.js";
+import { startAudibleTabTracking } from "./audible-tabs.js";
+import { startIdleMonitoring } from "./idle-monitor.js";
+import { startNetworkMeter } from "./network-meter.js";
+import { getOutboxKey, startOutboxCleanup } from "./outbox.js";
+import {
+  recordBatterySample,
+  startBatteryCalibration,
+} from "./battery-calibration.js";
+import { resumeRecalculation, startRecalculation } from "./recalculation.js";
+import { CATEGORY_RULES_KEY } from "../storage/category-rules-storage.js";
+import { PRIVACY_LEVEL_KEY } from "../storage/privacy-storage.js";
 
 // Expose for debugging
 globalThis.trackingStorage = trackingStorage;
 
+startAudibleTabTracking();
+startIdleMonitoring();
+startNetworkMeter();
+startOutboxCleanup();
+startBatteryCalibration();
+ensureEventsCategorized();
+ensurePrivacyApplied();
+resumeRecalculation();
+
 /**
  * Handle location request from dashboard
  */
@@ -38,7 +63,12 @@ const handleLocationRequest = async (sendResponse) => {
  */
 const handleTrackingEvent = async (payload, sender, sendResponse) => {
   try {
-    const result = await processTrackingEvent(payload);
+    const result = await processTrackingEvent(payload, sender);
+
+    if (result.duplicate) {
+      sendResponse(result);
+      return;
+    }
 
     // Notify dashboard if open
     chrome.runtime.sendMessage({ type: "EVENT_SAVED", payload: result }, () => {
@@ -56,6 +86,42 @@ const handleTrackingEvent = async (payload, sender, sendResponse) => {
   }
 };
 
+/**
+ * Handle a historical recalculation request from the dashboard
+ */
+const handleRecalculationRequest = async (message, sendResponse) => {
+  try {
+    const job = await startRecalculation(message.startDate, message.endDate);
+    sendResponse({ ok: true, job });
+  } catch (error) {
+    sendResponse({ ok: false, error: error.message });
+  }
+};
+
+/**
+ * Pass traffic from a tracker in an iframe to the top frame's tracker, with
+ * the origin Chrome reports for the sending frame
+ */
+const relayFrameTraffic = (message, sender) => {
+  if (typeof sender.tab?.id !== "number" || !sender.frameId) return;
+
+  chrome.tabs
+    .sendMessage(
+      sender.tab.id,
+      {
+        type: "FRAME_TRAFFIC",
+        frameId: message.frameId,
+        origin: sender.origin,
+        totals: message.totals,
+        videoTier: message.videoTier,
+      },
+      { frameId: 0 },
+    )
+    .catch(() => {
+      // No tracker in the top frame (excluded site, paused, still loading)
+    });
+};
+
 /**
  * Message router
  */
@@ -70,9 +136,42 @@ chrome.runtime.onMessage.addListener((message, sender, sendResponse) => {
     return true;
   }
 
+  if (message.type === "GET_OUTBOX_KEY") {
+    sendResponse({ key: getOutboxKey(sender) });
+    return false;
+  }
+
+  if (message.type === "START_RECALCULATION") {
+    handleRecalculationRequest(message, sendResponse);
+    return true;
+  }
+
+  if (message.type === "FRAME_TRAFFIC") {
+    relayFrameTraffic(message, sender);
+    return false;
+  }
+
+  if (message.type === "BATTERY_SAMPLE") {
+    recordBatterySample(message.payload);
+    return false;
+  }
+
   return false;
 });
 
+/**
+ * Re-categorize stored events when the user edits their category rules, and
+ * scrub them when the privacy level is tightened
+ */
+chrome.storage.onChanged.addListener((changes, areaName) => {
+  if (areaName === "sync" && changes[CATEGORY_RULES_KEY]) {
+    ensureEventsCategorized();
+  }
+  if (areaName === "sync" && changes[PRIVACY_LEVEL_KEY]) {
+    ensurePrivacyApplied();
+  }
+});
+
 /**
  * Extension lifecycle events
  */
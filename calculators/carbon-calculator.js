@@ -5,22 +5,86 @@
  */
 import {
   NETWORK_ENERGY,
+  ACCESS_NETWORK_ENERGY,
   BASELINE_GRID_INTENSITY,
+  CARBON_UNCERTAINTY,
+  DEFAULT_UNCERTAINTY,
   EQUIVALENCIES,
+  VIDEO_QUALITY_TIERS,
 } from "../config/energy-constants.js";
-import { DEVICE_ENERGY } from "../config/devices.js";
+import {
+  DEVICE_ENERGY,
+  DEVICE_EMBODIED_CARBON,
+  DEVICE_POWER_RANGE,
+  BACKGROUND_MEDIA_ENERGY,
+  CPU_PRESSURE_LOAD,
+  TYPICAL_BROWSING_LOAD,
+} from "../config/devices.js";
+import {
+  DEFAULT_SUBCATEGORY,
+  getParentCategory,
+} from "../config/categories.js";
+import { getCalibratedProfile } from "../storage/device-calibration-storage.js";
+import { getDeviceProfile } from "../storage/device-profile-storage.js";
+
+// Network Information API connection.type → access network
+const CONNECTION_TYPE_NETWORKS = {
+  ethernet: "wired",
+  wifi: "wifi",
+  cellular: "cellular",
+};
+const SLOW_EFFECTIVE_TYPES = ["slow-2g", "2g", "3g"];
+
+/**
+ * Identify the access network from the tracker's Network Information API
+ * snapshot. Browsers that don't report connection.type (most desktops)
+ * give "unknown".
+ * @param {Object} connection - { type, effectiveType }
+ * @returns {string} Key of ACCESS_NETWORK_ENERGY
+ */
+export const getAccessNetwork = (connection) => {
+  const network = CONNECTION_TYPE_NETWORKS[connection?.type] || "unknown";
+  if (
+    network === "cellular" &&
+    SLOW_EFFECTIVE_TYPES.includes(connection.effectiveType)
+  ) {
+    return "cellular_slow";
+  }
+  return network;
+};
+
+/**
+ * Network energy of an event's access network relative to the average,
+ * for weighting aggregated MB before pricing
+ * @param {Object} data - Event data
+ * @returns {number} Factor (1 for unknown networks)
+ */
+export const getNetworkEnergyFactor = (data) =>
+  ACCESS_NETWORK_ENERGY[getAccessNetwork(data?.connection)].kWhPerGB /
+  NETWORK_ENERGY.kWhPerGB;
 
 /**
- * Calculate carbon impact from network data transfer
- * @param {number} bytes - Total bytes transferred
+ * Calculate carbon impact from network data transfer. Uploaded bytes are
+ * priced at the same rate as downloaded ones.
+ * @param {number} bytes - Total bytes downloaded
  * @param {number} carbonIntensity - gCO2 per kWh (optional, uses baseline if not provided)
+ * @param {number} uploadBytes - Total bytes uploaded (optional)
+ * @param {string} accessNetwork - Key of ACCESS_NETWORK_ENERGY (optional, uses the average if not provided)
  * @returns {number} grams CO2
  */
-export const calculateNetworkCarbon = (bytes, carbonIntensity = null) => {
-  if (!bytes || bytes <= 0) return 0;
+export const calculateNetworkCarbon = (
+  bytes,
+  carbonIntensity = null,
+  uploadBytes = 0,
+  accessNetwork = null,
+) => {
+  const downloadGB = Math.max(bytes || 0, 0) / 1024 / 1024 / 1024;
+  const uploadGB = Math.max(uploadBytes || 0, 0) / 1024 / 1024 / 1024;
+  if (downloadGB === 0 && uploadGB === 0) return 0;
 
-  const GB = bytes / 1024 / 1024 / 1024;
-  const kWh = GB * NETWORK_ENERGY.kWhPerGB;
+  const kWhPerGB =
+    ACCESS_NETWORK_ENERGY[accessNetwork]?.kWhPerGB || NETWORK_ENERGY.kWhPerGB;
+  const kWh = (downloadGB + uploadGB) * kWhPerGB;
   const intensity = carbonIntensity || BASELINE_GRID_INTENSITY;
 
   return +(kWh * intensity).toFixed(2);
@@ -49,47 +113,324 @@ export const calculateDeviceCarbon = (
 };
 
 /**
- * Calculate total carbon impact for a browsing session
- * @param {Object} data - Event data from tracker
- * @param {Object} options - Optional overrides
- * @returns {number} grams CO2
+ * Calculate the device's amortized manufacturing carbon for browsing time.
+ * It was emitted wherever the device was made, so the local grid doesn't
+ * apply.
+ * @param {number} timeActiveMinutes - Minutes of active browsing
+ * @param {number} gramsPerMinute - Output of getEmbodiedGramsPerMinute()
+ * @returns {number} grams CO2e
  */
-export const calculateTotalCarbon = (data, options = {}) => {
-  const bytes = (data.totalMB || 0) * 1024 * 1024;
-  const timeActive = data.timeActive || 0;
+export const calculateEmbodiedCarbon = (timeActiveMinutes, gramsPerMinute) => {
+  if (!(timeActiveMinutes > 0) || !(gramsPerMinute > 0)) return 0;
+  return +(timeActiveMinutes * gramsPerMinute).toFixed(2);
+};
 
-  const networkCarbon = calculateNetworkCarbon(bytes, options.carbonIntensity);
-  const deviceCarbon = calculateDeviceCarbon(
-    timeActive,
-    options.deviceWatts,
-    options.carbonIntensity,
+/**
+ * Spread a device's embodied carbon over every minute it will be used.
+ * Devices kept past their expected lifetime spread it over the years they
+ * have actually lasted.
+ * @param {Object} profile - { kgCO2e, lifetimeYears, activeHoursPerDay, purchaseYear }
+ * @param {number} year - Current year (optional)
+ * @returns {number} grams CO2e per active minute
+ */
+export const getEmbodiedGramsPerMinute = (
+  profile,
+  year = new Date().getFullYear(),
+) => {
+  const age = profile.purchaseYear ? year - profile.purchaseYear + 1 : 0;
+  const years = Math.max(profile.lifetimeYears, age);
+  const activeMinutes = years * 365 * profile.activeHoursPerDay * 60;
+  if (!(activeMinutes > 0)) return 0;
+  return +((profile.kgCO2e * 1000) / activeMinutes).toFixed(4);
+};
+
+/**
+ * Estimate how hard the device worked for a page, from 0 (idle) to 1 (fully
+ * loaded).
+ *
+ * The main-thread share is the time spent in long animation frames (or long
+ * tasks, where those aren't supported) over the page's active time, so a
+ * static page that spends almost none of its time in long frames comes out
+ * close to idle. Compute Pressure reports whole-CPU load, including
+ * work off the main thread (GPU, workers, video decode); when available the
+ * two are averaged.
+ * @param {Object} cpuActivity - CPU signals from the tracker
+ * @param {number} activeMinutes - Minutes the page was active
+ * @returns {number|null} Utilisation, or null without any signals
+ */
+export const estimateCpuUtilisation = (cpuActivity, activeMinutes) => {
+  if (!cpuActivity || !(activeMinutes > 0)) return null;
+
+  const factors = [];
+  const { sources = {} } = cpuActivity;
+
+  const busyMs = sources.longAnimationFrame
+    ? cpuActivity.longAnimationFrameMs
+    : sources.longTask
+      ? cpuActivity.longTaskMs
+      : null;
+  if (typeof busyMs === "number") {
+    factors.push(Math.min(busyMs / (activeMinutes * 60000), 1));
+  }
+
+  const pressureEntries = Object.entries(cpuActivity.pressureMs || {}).filter(
+    ([state]) => state in CPU_PRESSURE_LOAD,
   );
+  const pressureMs = pressureEntries.reduce((sum, [, ms]) => sum + ms, 0);
+  if (sources.pressure && pressureMs > 0) {
+    factors.push(
+      pressureEntries.reduce(
+        (sum, [state, ms]) => sum + CPU_PRESSURE_LOAD[state] * ms,
+        0,
+      ) / pressureMs,
+    );
+  }
+
+  if (factors.length === 0) return null;
+  const utilisation = factors.reduce((sum, f) => sum + f, 0) / factors.length;
+  return +utilisation.toFixed(3);
+};
+
+/**
+ * Scale device power from idle to fully loaded, passing through the typical
+ * browsing figure at TYPICAL_BROWSING_LOAD
+ * @param {{idle: number, typical: number, loaded: number}} powerRange - Device power range in Watts
+ * @param {number} utilisation - CPU load (0 = idle, 1 = fully loaded)
+ * @returns {number} Watts
+ */
+export const getLoadAwareWatts = (powerRange, utilisation) => {
+  const load = Math.min(Math.max(utilisation, 0), 1);
+  const { idle, loaded } = powerRange;
+  const typical =
+    powerRange.typical ?? idle + (loaded - idle) * TYPICAL_BROWSING_LOAD;
+  const watts =
+    load <= TYPICAL_BROWSING_LOAD
+      ? idle + ((typical - idle) * load) / TYPICAL_BROWSING_LOAD
+      : typical +
+        ((loaded - typical) * (load - TYPICAL_BROWSING_LOAD)) /
+          (1 - TYPICAL_BROWSING_LOAD);
+  return +watts.toFixed(2);
+};
 
-  return +(networkCarbon + deviceCarbon).toFixed(2);
+/**
+ * Calculate carbon impact from media playing in a background tab
+ * @param {number} audioMinutes - Minutes of background audio
+ * @param {number} videoMinutes - Minutes of background video
+ * @param {number} carbonIntensity - gCO2 per kWh (optional, uses baseline if not provided)
+ * @returns {number} grams CO2
+ */
+export const calculateBackgroundMediaCarbon = (
+  audioMinutes,
+  videoMinutes,
+  carbonIntensity = null,
+) => {
+  const audioHours = Math.max(audioMinutes || 0, 0) / 60;
+  const videoHours = Math.max(videoMinutes || 0, 0) / 60;
+  if (audioHours === 0 && videoHours === 0) return 0;
+
+  const kWh =
+    (audioHours * BACKGROUND_MEDIA_ENERGY.audio +
+      videoHours * BACKGROUND_MEDIA_ENERGY.video) /
+    1000;
+  const intensity = carbonIntensity || BASELINE_GRID_INTENSITY;
+
+  return +(kWh * intensity).toFixed(2);
 };
 
 /**
- * Calculate carbon rate (grams per hour)
+ * Minutes of device energy to bill for an event.
+ *
+ * deviceMinutes is this tab's share of time it was active alongside other
+ * tabs; events without it fall back to the tab's own active time.
  * @param {Object} data - Event data
- * @param {Object} options - Calculation options
- * @returns {number} grams CO2 per hour
+ * @returns {number} minutes
  */
-export const calculateCarbonRate = (data, options = {}) => {
-  const totalCarbon = calculateTotalCarbon(data, options);
-  const timeActive = data.timeActive || 0;
-  if (timeActive <= 0) return 0;
-  return +(totalCarbon / (timeActive / 60)).toFixed(2);
+export const getDeviceMinutes = (data) => {
+  if (typeof data.deviceMinutes === "number" && data.deviceMinutes >= 0) {
+    return data.deviceMinutes;
+  }
+  return data.timeActive || 0;
+};
+
+// Segments priced at the user's grid when no model says otherwise
+const LOCAL_SEGMENTS = ["network", "device", "backgroundMedia"];
+
+/**
+ * Bounds on the grid intensity an event was priced at
+ * @param {number|null} gridMultiplier - Regional multiplier, null when the
+ *   global baseline was used
+ * @param {boolean|null} gridIsEstimated - Whether the regional reading was
+ *   estimated rather than measured
+ * @returns {{low: number, high: number}}
+ */
+export const getGridUncertainty = (gridMultiplier, gridIsEstimated) => {
+  if (typeof gridMultiplier !== "number") return CARBON_UNCERTAINTY.unknownGrid;
+  return gridIsEstimated
+    ? CARBON_UNCERTAINTY.estimatedGrid
+    : CARBON_UNCERTAINTY.grid;
+};
+
+/**
+ * Bounds on device power, narrowing from the preset's towards the
+ * calibrated bound as the battery calibration's confidence grows
+ * @param {number} calibrationConfidence - 0 (uncalibrated) to 1
+ * @returns {{low: number, high: number}}
+ */
+export const getDeviceUncertainty = (calibrationConfidence) => {
+  const { device, calibratedDevice } = CARBON_UNCERTAINTY;
+  const score = Math.min(Math.max(calibrationConfidence || 0, 0), 1);
+  return {
+    low: device.low + (calibratedDevice.low - device.low) * score,
+    high: device.high + (calibratedDevice.high - device.high) * score,
+  };
+};
+
+/**
+ * Bounds on an event's network carbon: the network figure's own bounds
+ * compounded with those of the grid it was priced at
+ * @param {Object} data - Event data
+ * @returns {{low: number, high: number}}
+ */
+export const getNetworkUncertainty = (data) => {
+  const { network } = CARBON_UNCERTAINTY;
+  const grid = getGridUncertainty(
+    data?.gridMultiplier ?? null,
+    data?.gridIsEstimated,
+  );
+  return { low: network.low * grid.low, high: network.high * grid.high };
+};
+
+/**
+ * Propagate each segment's low/high bounds to the total. Bounds are added
+ * as if every constant erred in the same direction, so the range is on the
+ * wide side rather than falsely narrow. Segments priced at the user's grid
+ * also carry the grid's bounds.
+ * @param {Object} segments - grams CO2 by segment (network, device, ...)
+ * @param {Object} options - { calibrationConfidence, regionalSegments, gridMultiplier, gridIsEstimated }
+ * @returns {{low: number, central: number, high: number}} grams CO2
+ */
+export const calculateCarbonRange = (segments, options = {}) => {
+  const range = { low: 0, central: 0, high: 0 };
+  const regionalSegments = options.regionalSegments || LOCAL_SEGMENTS;
+  const grid = getGridUncertainty(
+    options.gridMultiplier ?? null,
+    options.gridIsEstimated,
+  );
+
+  Object.entries(segments).forEach(([segment, grams]) => {
+    const bounds =
+      segment === "device"
+        ? getDeviceUncertainty(options.calibrationConfidence)
+        : CARBON_UNCERTAINTY[segment] || DEFAULT_UNCERTAINTY;
+    const regional = regionalSegments.includes(segment);
+    range.low += grams * bounds.low * (regional ? grid.low : 1);
+    range.central += grams;
+    range.high += grams * bounds.high * (regional ? grid.high : 1);
+  });
+
+  return {
+    low: +range.low.toFixed(2),
+    central: +range.central.toFixed(2),
+    high: +range.high.toFixed(2),
+  };
+};
+
+/**
+ * Get an event's carbon by segment. Events saved before segments were
+ * recorded are split with the current formula, scaled to their total.
+ * @param {Object} event - Event object
+ * @returns {Object} grams CO2 by segment (network, device, deviceEmbodied, ...)
+ */
+export const getEventSegments = (event) => {
+  if (event.carbonSegments) {
+    const { embodied, ...segments } = event.carbonSegments;
+    if (embodied === undefined) return segments;
+
+    // Our own model once recorded per-minute manufacturing as "embodied",
+    // which SWD uses for its per-GB figure
+    const modelId = event.data?.carbonModel?.id || "curbyourcarbon";
+    const key = modelId === "curbyourcarbon" ? "deviceEmbodied" : "embodied";
+    return { ...segments, [key]: embodied };
+  }
+
+  const central = event.carbonGrams || 0;
+  const { total, ...segments } = getCarbonBreakdown(event.data || {}, {
+    deviceWatts: event.data?.deviceWatts,
+    embodiedGramsPerMinute: event.data?.embodiedGramsPerMinute,
+  });
+  if (!(total > 0)) return central > 0 ? { other: central } : {};
+
+  Object.keys(segments).forEach((segment) => {
+    segments[segment] *= central / total;
+  });
+  return segments;
+};
+
+/**
+ * Get an event's carbon range. Events saved before ranges were recorded are
+ * bounded from their segments.
+ * @param {Object} event - Event object
+ * @returns {{low: number, central: number, high: number}} grams CO2
+ */
+export const getEventCarbonRange = (event) => {
+  const central = event.carbonGrams || 0;
+  if (event.carbonRange) {
+    return {
+      low: event.carbonRange.low,
+      central,
+      high: event.carbonRange.high,
+    };
+  }
+
+  const { low, high } = calculateCarbonRange(getEventSegments(event), {
+    calibrationConfidence: event.data?.deviceCalibrated
+      ? event.data.calibrationConfidence
+      : 0,
+    gridMultiplier: event.data?.gridMultiplier,
+    gridIsEstimated: event.data?.gridIsEstimated,
+  });
+  return { low, central, high };
 };
 
 /**
- * Aggregate events by category
+ * Aggregate carbon by segment (network, device, deviceEmbodied, ...)
+ * @param {Array} events - Array of event objects
+ * @returns {Object} Total grams CO2 by segment
+ */
+export const aggregateBySegment = (events) =>
+  events.reduce((totals, event) => {
+    Object.entries(getEventSegments(event)).forEach(([segment, grams]) => {
+      totals[segment] = (totals[segment] || 0) + grams;
+    });
+    return totals;
+  }, {});
+
+/**
+ * Sum the carbon ranges of several events
+ * @param {Array} events - Array of event objects
+ * @returns {{low: number, central: number, high: number}} grams CO2
+ */
+export const aggregateCarbonRange = (events) =>
+  events.reduce(
+    (totals, event) => {
+      const range = getEventCarbonRange(event);
+      totals.low += range.low;
+      totals.central += range.central;
+      totals.high += range.high;
+      return totals;
+    },
+    { low: 0, central: 0, high: 0 },
+  );
+
+/**
+ * Aggregate events by top-level category (subcategories rolled up)
  * @param {Array} events - Array of event objects
  * @returns {Object} Total carbon by category
  */
 export const aggregateByCategory = (events) => {
   return events.reduce(
     (totals, event) => {
-      const category = event.type || "browsing";
+      const category = getParentCategory(event.type || DEFAULT_SUBCATEGORY);
       if (!totals[category]) totals[category] = 0;
       totals[category] += event.carbonGrams || 0;
       return totals;
@@ -98,6 +439,241 @@ export const aggregateByCategory = (events) => {
   );
 };
 
+/**
+ * Aggregate events by subcategory (video streaming, email, ...)
+ * @param {Array} events - Array of event objects
+ * @returns {Object} Total carbon by subcategory
+ */
+export const aggregateBySubcategory = (events) => {
+  return events.reduce((totals, event) => {
+    const type = event.type || DEFAULT_SUBCATEGORY;
+    totals[type] = (totals[type] || 0) + (event.carbonGrams || 0);
+    return totals;
+  }, {});
+};
+
+/**
+ * Add grid- and network-weighted MB to a running total and its bounds
+ * @param {Object} weighted - { central, low, high } MB
+ * @param {number} mb - Weighted MB for one event
+ * @param {Object} bounds - Output of getNetworkUncertainty()
+ */
+const addWeightedMB = (weighted, mb, bounds) => {
+  weighted.central += mb;
+  weighted.low += mb * bounds.low;
+  weighted.high += mb * bounds.high;
+};
+
+/**
+ * Price weighted MB totals at the average network figure
+ * @param {Object} weighted - { central, low, high } MB
+ * @returns {{grams: number, low: number, high: number}}
+ */
+const priceWeightedMB = (weighted) => ({
+  grams: calculateNetworkCarbon(
+    weighted.central * 1024 * 1024,
+    BASELINE_GRID_INTENSITY,
+  ),
+  low: calculateNetworkCarbon(
+    weighted.low * 1024 * 1024,
+    BASELINE_GRID_INTENSITY,
+  ),
+  high: calculateNetworkCarbon(
+    weighted.high * 1024 * 1024,
+    BASELINE_GRID_INTENSITY,
+  ),
+});
+
+/**
+ * Aggregate video minutes, data and network carbon by resolution tier
+ * @param {Array} events - Array of event objects
+ * @returns {Object} { [tier]: { minutes, mb, grams, low, high } } in tier order
+ */
+export const aggregateByVideoTier = (events) => {
+  const totals = {};
+  const weightedMB = {};
+  Object.keys(VIDEO_QUALITY_TIERS).forEach((tier) => {
+    totals[tier] = { minutes: 0, mb: 0, grams: 0, low: 0, high: 0 };
+    weightedMB[tier] = { central: 0, low: 0, high: 0 };
+  });
+
+  events.forEach((event) => {
+    const quality = event.data?.videoQuality;
+    if (!quality) return;
+    const multiplier =
+      (event.data?.gridMultiplier ?? 1) * getNetworkEnergyFactor(event.data);
+    const bounds = getNetworkUncertainty(event.data);
+
+    Object.entries(quality.minutesByTier || {}).forEach(([tier, minutes]) => {
+      if (totals[tier]) totals[tier].minutes += minutes;
+    });
+    Object.entries(quality.mbByTier || {}).forEach(([tier, mb]) => {
+      if (!totals[tier]) return;
+      totals[tier].mb += mb;
+      addWeightedMB(weightedMB[tier], mb * multiplier, bounds);
+    });
+  });
+
+  Object.keys(totals).forEach((tier) => {
+    Object.assign(totals[tier], priceWeightedMB(weightedMB[tier]));
+  });
+
+  return totals;
+};
+
+/**
+ * Estimate savings from streaming one resolution tier lower
+ * @param {Object} tierTotals - Output of aggregateByVideoTier()
+ * @returns {{total: number, low: number, high: number, byTier: Object, topTier: string|null}}
+ */
+export const estimateTierStepDownSavings = (tierTotals) => {
+  const tiers = Object.keys(VIDEO_QUALITY_TIERS);
+  const byTier = {};
+  let total = 0;
+  let low = 0;
+  let high = 0;
+  let topTier = null;
+
+  tiers.forEach((tier, index) => {
+    if (index === 0) return;
+    const lowerTier = tiers[index - 1];
+    const ratio =
+      VIDEO_QUALITY_TIERS[lowerTier].bitrateMbps /
+      VIDEO_QUALITY_TIERS[tier].bitrateMbps;
+    const grams = +((tierTotals[tier]?.grams || 0) * (1 - ratio)).toFixed(2);
+    low += (tierTotals[tier]?.low || 0) * (1 - ratio);
+    high += (tierTotals[tier]?.high || 0) * (1 - ratio);
+
+    byTier[tier] = { to: lowerTier, grams, percent: Math.round((1 - ratio) * 100) };
+    total += grams;
+    if (grams > 0 && (!topTier || grams > byTier[topTier].grams)) {
+      topTier = tier;
+    }
+  });
+
+  return {
+    total: +total.toFixed(2),
+    low: +low.toFixed(2),
+    high: +high.toFixed(2),
+    byTier,
+    topTier,
+  };
+};
+
+/**
+ * Aggregate third-party data and network carbon by owning company
+ * @param {Array} events - Array of event objects
+ * @returns {Object} { [entity]: { category, mb, grams, low, high } }
+ */
+export const aggregateByThirdParty = (events) => {
+  const totals = {};
+  const weightedMB = {};
+
+  events.forEach((event) => {
+    const byEntity = event.data?.thirdPartyByEntity;
+    if (!byEntity) return;
+    const multiplier =
+      (event.data?.gridMultiplier ?? 1) * getNetworkEnergyFactor(event.data);
+    const bounds = getNetworkUncertainty(event.data);
+
+    Object.entries(byEntity).forEach(([entity, { mb, category }]) => {
+      if (!totals[entity]) {
+        totals[entity] = { category, mb: 0, grams: 0, low: 0, high: 0 };
+        weightedMB[entity] = { central: 0, low: 0, high: 0 };
+      }
+      totals[entity].mb += mb || 0;
+      addWeightedMB(weightedMB[entity], (mb || 0) * multiplier, bounds);
+    });
+  });
+
+  Object.keys(totals).forEach((entity) => {
+    Object.assign(totals[entity], priceWeightedMB(weightedMB[entity]));
+  });
+
+  return totals;
+};
+
+/**
+ * Aggregate data served from the browser cache and the network carbon it
+ * avoided, per site and per time bucket
+ * @param {Array} events - Array of event objects
+ * @param {Function} getBucket - Maps an event timestamp to a bucket key
+ * @returns {{total: Object, bySite: Object, byBucket: Object}} Each value is { mb, grams, low, high }
+ */
+export const aggregateCacheSavings = (events, getBucket) => {
+  const total = { mb: 0, grams: 0, low: 0, high: 0 };
+  const bySite = {};
+  const byBucket = {};
+
+  const add = (totals, mb, grams, bounds) => {
+    totals.mb += mb;
+    totals.grams += grams;
+    totals.low += grams * bounds.low;
+    totals.high += grams * bounds.high;
+  };
+  const addTo = (totals, key, ...values) => {
+    if (!totals[key]) totals[key] = { mb: 0, grams: 0, low: 0, high: 0 };
+    add(totals[key], ...values);
+  };
+
+  events.forEach((event) => {
+    const mb = event.data?.cachedMB || 0;
+    if (mb <= 0) return;
+
+    const multiplier = event.data?.gridMultiplier ?? 1;
+    const grams = calculateNetworkCarbon(
+      mb * multiplier * 1024 * 1024,
+      BASELINE_GRID_INTENSITY,
+      0,
+      getAccessNetwork(event.data?.connection),
+    );
+
+    const bounds = getNetworkUncertainty(event.data);
+
+    add(total, mb, grams, bounds);
+    addTo(bySite, event.platform || "unknown", mb, grams, bounds);
+    addTo(byBucket, getBucket(event.timestamp), mb, grams, bounds);
+  });
+
+  return { total, bySite, byBucket };
+};
+
+/**
+ * Aggregate data transfer and network carbon by access network
+ * @param {Array} events - Array of event objects
+ * @returns {Object} { [accessNetwork]: { mb, grams, low, high } }
+ */
+export const aggregateByAccessNetwork = (events) => {
+  const totals = {};
+
+  events.forEach((event) => {
+    const downloadMB = event.data?.totalMB || 0;
+    const uploadMB = event.data?.uploadMB || 0;
+    if (downloadMB <= 0 && uploadMB <= 0) return;
+
+    const network = getAccessNetwork(event.data?.connection);
+    const multiplier = event.data?.gridMultiplier ?? 1;
+    const grams = calculateNetworkCarbon(
+      downloadMB * multiplier * 1024 * 1024,
+      BASELINE_GRID_INTENSITY,
+      uploadMB * multiplier * 1024 * 1024,
+      network,
+    );
+
+    const bounds = getNetworkUncertainty(event.data);
+
+    if (!totals[network]) {
+      totals[network] = { mb: 0, grams: 0, low: 0, high: 0 };
+    }
+    totals[network].mb += downloadMB + uploadMB;
+    totals[network].grams += grams;
+    totals[network].low += grams * bounds.low;
+    totals[network].high += grams * bounds.high;
+  });
+
+  return totals;
+};
+
 /**
  * Calculate real-world equivalencies
  * @param {number} totalGrams - Total CO2 in grams
@@ -120,40 +696,145 @@ export const calculateEquivalencies = (totalGrams) => {
  */
 export const getCarbonBreakdown = (data, options = {}) => {
   const bytes = (data.totalMB || 0) * 1024 * 1024;
-  const timeActive = data.timeActive || 0;
+  const uploadBytes = (data.uploadMB || 0) * 1024 * 1024;
+  const deviceMinutes = getDeviceMinutes(data);
 
-  const network = calculateNetworkCarbon(bytes, options.carbonIntensity);
+  const network = calculateNetworkCarbon(
+    bytes,
+    options.carbonIntensity,
+    uploadBytes,
+    getAccessNetwork(data.connection),
+  );
   const device = calculateDeviceCarbon(
-    timeActive,
+    deviceMinutes,
     options.deviceWatts,
     options.carbonIntensity,
   );
+  const deviceEmbodied = calculateEmbodiedCarbon(
+    deviceMinutes,
+    options.embodiedGramsPerMinute,
+  );
+  const backgroundMedia = calculateBackgroundMediaCarbon(
+    data.backgroundAudioMinutes,
+    data.backgroundVideoMinutes,
+    options.carbonIntensity,
+  );
 
   return {
     network: +network.toFixed(2),
     device: +device.toFixed(2),
-    total: +(network + device).toFixed(2),
+    deviceEmbodied: +deviceEmbodied.toFixed(2),
+    backgroundMedia: +backgroundMedia.toFixed(2),
+    total: +(network + device + deviceEmbodied + backgroundMedia).toFixed(2),
   };
 };
 
 /**
- * Get device energy consumption from settings
+ * Get the device type from settings, resolving auto-detection
+ * @returns {Promise<string>} Device type code
+ */
+export const getDeviceType = async () => {
+  const result = await chrome.storage.sync.get([
+    "deviceType",
+    "detectedDevice",
+  ]);
+  let deviceType = result.deviceType || "auto";
+
+  if (deviceType === "auto") {
+    deviceType = result.detectedDevice || "laptop";
+  }
+
+  return deviceType;
+};
+
+/**
+ * Get the battery calibration that applies to the device type in settings
+ * @returns {Promise<Object|null>} Calibrated profile or null
+ */
+export const getDeviceCalibration = async () =>
+  getCalibratedProfile(await getDeviceType());
+
+/**
+ * Get device energy consumption, preferring this device's battery
+ * calibration over the preset for its type
  * @returns {Promise<number>} Watts
  */
 export const getDeviceEnergyConsumption = async () => {
   try {
-    const result = await chrome.storage.sync.get([
-      "deviceType",
-      "detectedDevice",
-    ]);
-    let deviceType = result.deviceType || "auto";
-
-    if (deviceType === "auto") {
-      deviceType = result.detectedDevice || "laptop";
-    }
+    const deviceType = await getDeviceType();
+    const calibrated = await getCalibratedProfile(deviceType);
+    if (calibrated) return calibrated.watts;
 
     return DEVICE_ENERGY.byDevice[deviceType] || DEVICE_ENERGY.averageBrowsing;
   } catch (error) {
     return DEVICE_ENERGY.averageBrowsing;
   }
 };
+
+/**
+ * Get the idle, typical browsing and loaded power of the device from
+ * settings. A battery calibration rescales the preset range so typical
+ * browsing matches it.
+ * @returns {Promise<{idle: number, typical: number, loaded: number}>} Watts
+ */
+export const getDevicePowerRange = async () => {
+  try {
+    const deviceType = await getDeviceType();
+    const range = DEVICE_POWER_RANGE[deviceType] || DEVICE_POWER_RANGE.laptop;
+    const typical =
+      DEVICE_ENERGY.byDevice[deviceType] || DEVICE_ENERGY.averageBrowsing;
+
+    const calibrated = await getCalibratedProfile(deviceType);
+    if (!calibrated) return { ...range, typical };
+
+    const scale = calibrated.watts / typical;
+    return {
+      idle: +(range.idle * scale).toFixed(2),
+      typical: calibrated.watts,
+      loaded: +(range.loaded * scale).toFixed(2),
+    };
+  } catch (error) {
+    return {
+      ...DEVICE_POWER_RANGE.laptop,
+      typical: DEVICE_ENERGY.byDevice.laptop,
+    };
+  }
+};
+
+/**
+ * Get this device's embodied carbon profile: the bundled figures for its
+ * type, overridden by anything set in the device profile
+ * @returns {Promise<Object>} { enabled, deviceType, kgCO2e, lifetimeYears, activeHoursPerDay, purchaseYear, gramsPerMinute }
+ */
+export const getEmbodiedProfile = async () => {
+  const [deviceType, settings] = await Promise.all([
+    getDeviceType().catch(() => "laptop"),
+    getDeviceProfile(),
+  ]);
+  const preset =
+    DEVICE_EMBODIED_CARBON[deviceType] || DEVICE_EMBODIED_CARBON.laptop;
+  const profile = {
+    enabled: settings.embodiedEnabled,
+    deviceType,
+    kgCO2e: settings.embodiedKg ?? preset.kgCO2e,
+    lifetimeYears: settings.lifetimeYears ?? preset.lifetimeYears,
+    activeHoursPerDay: preset.activeHoursPerDay,
+    purchaseYear: settings.purchaseYear,
+  };
+
+  return { ...profile, gramsPerMinute: getEmbodiedGramsPerMinute(profile) };
+};
+
+/**
+ * Get the embodied carbon to add per active minute, or 0 when it's
+ * switched off in settings
+ * @returns {Promise<number>} grams CO2e per minute
+ */
+export const getEmbodiedCarbonRate = async () => {
+  try {
+    const profile = await getEmbodiedProfile();
+    return profile.enabled ? profile.gramsPerMinute : 0;
+  } catch (error) {
+    return 0;
+  }
+};
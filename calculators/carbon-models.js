@@ -0,0 +1,279 @@
+/**
+ * Carbon calculation model registry
+ *
+ * Each model turns event data into carbon segments priced at the baseline
+ * grid intensity. Segments listed in regionalSegments happen where the user
+ * is and are scaled by the regional grid multiplier; the rest (remote data
+ * centres, our per-minute deviceEmbodied and SWD's per-GB embodied energy)
+ * stay at the global baseline.
+ */
+import { BASELINE_GRID_INTENSITY } from "../config/energy-constants.js";
+import {
+  calculateDeviceCarbon,
+  calculateBackgroundMediaCarbon,
+  calculateEmbodiedCarbon,
+  calculateCarbonRange,
+  calculateNetworkCarbon,
+  getAccessNetwork,
+  getDeviceMinutes,
+} from "./carbon-calculator.js";
+
+export const CARBON_MODEL_KEY = "carbonModel";
+export const DEFAULT_CARBON_MODEL = "curbyourcarbon";
+
+/**
+ * Sustainable Web Design v4 energy intensities (kWh per GB)
+ * https://sustainablewebdesign.org/estimating-digital-emissions/
+ */
+const SWD_V4 = {
+  operational: { dataCentre: 0.055, network: 0.059, device: 0.08 },
+  embodied: { dataCentre: 0.012, network: 0.013, device: 0.081 },
+};
+
+/**
+ * The Shift Project 1byte model energy intensities (kWh per GB), from
+ * Lean ICT (2018). Device energy is power × time, as in our own formula.
+ */
+const ONE_BYTE = {
+  dataCentre: 0.072,
+  fixedNetwork: 0.152,
+  mobileNetwork: 0.884,
+};
+
+/**
+ * Downloaded plus uploaded data in GB
+ * @param {Object} data - Event data
+ * @returns {number} GB
+ */
+const getTransferredGB = (data) =>
+  Math.max((data.totalMB || 0) + (data.uploadMB || 0), 0) / 1024;
+
+/**
+ * Price kWh at the baseline grid intensity
+ * @param {number} kWh
+ * @returns {number} grams CO2
+ */
+const priceKWh = (kWh) => kWh * BASELINE_GRID_INTENSITY;
+
+/**
+ * Sum a model's kWh-per-GB figures
+ * @param {Object} intensities - { segment: kWhPerGB }
+ * @returns {number} kWh per GB
+ */
+const sumKWhPerGB = (intensities) =>
+  +Object.values(intensities)
+    .reduce((sum, kWhPerGB) => sum + kWhPerGB, 0)
+    .toFixed(3);
+
+/**
+ * Measured bytes priced by access network, at the baseline grid intensity
+ * @param {Object} data - Event data
+ * @returns {number} grams CO2
+ */
+const getMeasuredNetworkCarbon = (data) =>
+  calculateNetworkCarbon(
+    (data.totalMB || 0) * 1024 * 1024,
+    BASELINE_GRID_INTENSITY,
+    (data.uploadMB || 0) * 1024 * 1024,
+    getAccessNetwork(data.connection),
+  );
+
+/**
+ * OneByte network intensity for the event's connection
+ * @param {Object} data - Event data
+ * @returns {number} kWh per GB
+ */
+const getOneByteNetworkKWhPerGB = (data) =>
+  getAccessNetwork(data.connection).startsWith("cellular")
+    ? ONE_BYTE.mobileNetwork
+    : ONE_BYTE.fixedNetwork;
+
+/**
+ * Device power × time segments, at the baseline grid intensity
+ * @param {Object} data - Event data
+ * @param {number} deviceWatts - Device power
+ * @returns {{device: number, backgroundMedia: number}} grams CO2
+ */
+const getDeviceSegments = (data, deviceWatts) => ({
+  device: calculateDeviceCarbon(
+    getDeviceMinutes(data),
+    deviceWatts,
+    BASELINE_GRID_INTENSITY,
+  ),
+  backgroundMedia: calculateBackgroundMediaCarbon(
+    data.backgroundAudioMinutes,
+    data.backgroundVideoMinutes,
+    BASELINE_GRID_INTENSITY,
+  ),
+});
+
+export const CARBON_MODELS = {
+  curbyourcarbon: {
+    id: "curbyourcarbon",
+    version: "2026.10.3",
+    name: "CurbYourCarbon (measured)",
+    description:
+      "Measured bytes priced by access network, plus device power × active time scaled by CPU load and, if enabled, the device's manufacturing carbon per active minute.",
+    dataEnergyBasis:
+      "Based on IEA research: 0.016 kWh per GB on average. Where the browser reports the connection, wired (0.012), Wi-Fi (0.015) and mobile (0.05-0.15) figures are used instead.",
+    regionalSegments: ["network", "device", "backgroundMedia"],
+    usesDeviceWatts: true,
+    usesDeviceEmbodied: true,
+    getDataKWh: (data) =>
+      getMeasuredNetworkCarbon(data) / BASELINE_GRID_INTENSITY,
+    calculate: (data, { deviceWatts, embodiedGramsPerMinute }) => ({
+      network: getMeasuredNetworkCarbon(data),
+      ...getDeviceSegments(data, deviceWatts),
+      deviceEmbodied: calculateEmbodiedCarbon(
+        getDeviceMinutes(data),
+        embodiedGramsPerMinute,
+      ),
+    }),
+  },
+
+  swd: {
+    id: "swd",
+    version: "4.0",
+    name: "Sustainable Web Design v4",
+    description:
+      "Per-GB operational and embodied energy across data centre, network and device segments.",
+    dataEnergyBasis: `Sustainable Web Design v4: ${sumKWhPerGB(SWD_V4.operational)} kWh per GB to run data centres, networks and devices, plus ${sumKWhPerGB(SWD_V4.embodied)} kWh per GB to build them. Device energy is included per GB rather than from your device's wattage.`,
+    regionalSegments: ["network", "device"],
+    usesDeviceWatts: false,
+    usesDeviceEmbodied: false,
+    getDataKWh: (data) =>
+      getTransferredGB(data) *
+      (sumKWhPerGB(SWD_V4.operational) + sumKWhPerGB(SWD_V4.embodied)),
+    calculate: (data) => {
+      const gb = getTransferredGB(data);
+      const { operational, embodied } = SWD_V4;
+      return {
+        dataCentre: priceKWh(gb * operational.dataCentre),
+        network: priceKWh(gb * operational.network),
+        device: priceKWh(gb * operational.device),
+        embodied: priceKWh(
+          gb * (embodied.dataCentre + embodied.network + embodied.device),
+        ),
+      };
+    },
+  },
+
+  onebyte: {
+    id: "onebyte",
+    version: "2018",
+    name: "OneByte (The Shift Project)",
+    description:
+      "Per-GB data centre and network energy (mobile networks far higher than fixed), plus device power × active time.",
+    dataEnergyBasis: `The Shift Project's OneByte model: ${ONE_BYTE.dataCentre} kWh per GB in data centres, plus ${ONE_BYTE.fixedNetwork} kWh per GB on fixed networks or ${ONE_BYTE.mobileNetwork} on mobile.`,
+    regionalSegments: ["network", "device", "backgroundMedia"],
+    usesDeviceWatts: true,
+    usesDeviceEmbodied: false,
+    getDataKWh: (data) =>
+      getTransferredGB(data) *
+      (ONE_BYTE.dataCentre + getOneByteNetworkKWhPerGB(data)),
+    calculate: (data, { deviceWatts }) => {
+      const gb = getTransferredGB(data);
+
+      return {
+        dataCentre: priceKWh(gb * ONE_BYTE.dataCentre),
+        network: priceKWh(gb * getOneByteNetworkKWhPerGB(data)),
+        ...getDeviceSegments(data, deviceWatts),
+      };
+    },
+  },
+};
+
+/**
+ * Look up a model, falling back to the default for unknown ids
+ * @param {string} id - Model id
+ * @returns {Object} Model definition
+ */
+export const getCarbonModel = (id) =>
+  CARBON_MODELS[id] || CARBON_MODELS[DEFAULT_CARBON_MODEL];
+
+/**
+ * Get the model chosen in settings
+ * @returns {Promise<Object>} Model definition
+ */
+export const getSelectedCarbonModel = async () => {
+  try {
+    const result = await chrome.storage.sync.get(CARBON_MODEL_KEY);
+    return getCarbonModel(result[CARBON_MODEL_KEY]);
+  } catch (error) {
+    return getCarbonModel(DEFAULT_CARBON_MODEL);
+  }
+};
+
+/**
+ * Choose the model used to price new events
+ * @param {string} id - Key of CARBON_MODELS
+ */
+export const setSelectedCarbonModel = async (id) => {
+  if (!Object.hasOwn(CARBON_MODELS, id)) {
+    throw new Error(`Unknown carbon model: ${id}`);
+  }
+  await chrome.storage.sync.set({ [CARBON_MODEL_KEY]: id });
+};
+
+/**
+ * Calculate an event's carbon with a model, applying the regional grid
+ * multiplier to the segments that happen where the user is
+ * @param {Object} model - Model definition
+ * @param {Object} data - Event data
+ * @param {Object} options - { deviceWatts, calibrationConfidence, embodiedGramsPerMinute, gridMultiplier, gridIsEstimated }
+ * @returns {{carbonGrams: number, carbonRate: number, carbonRange: Object, segments: Object}}
+ */
+export const calculateModelCarbon = (
+  model,
+  data,
+  {
+    deviceWatts,
+    calibrationConfidence = 0,
+    embodiedGramsPerMinute = 0,
+    gridMultiplier,
+    gridIsEstimated = null,
+  },
+) => {
+  const segments = model.calculate(data, {
+    deviceWatts,
+    embodiedGramsPerMinute,
+  });
+
+  Object.keys(segments).forEach((segment) => {
+    if (gridMultiplier !== null && model.regionalSegments.includes(segment)) {
+      segments[segment] *= gridMultiplier;
+    }
+  });
+
+  // A calibration only narrows device segments priced from wattage
+  const { low, central, high } = calculateCarbonRange(segments, {
+    calibrationConfidence: model.usesDeviceWatts ? calibrationConfidence : 0,
+    regionalSegments: model.regionalSegments,
+    gridMultiplier,
+    gridIsEstimated,
+  });
+
+  const carbonGrams = central;
+  const timeActive = data.timeActive || 0;
+  const carbonRate =
+    timeActive > 0 ? +(carbonGrams / (timeActive / 60)).toFixed(2) : 0;
+
+  Object.keys(segments).forEach((segment) => {
+    segments[segment] = +segments[segment].toFixed(2);
+  });
+
+  return { carbonGrams, carbonRate, carbonRange: { low, high }, segments };
+};
+
+/**
+ * Label for the model version recorded on an event
+ * @param {Object} carbonModel - { id, version } from event data
+ * @returns {string} e.g. "Sustainable Web Design v4 (4.0)"
+ */
+export const getCarbonModelLabel = (carbonModel) => {
+  if (!carbonModel) {
+    return `${getCarbonModel(DEFAULT_CARBON_MODEL).name} (legacy)`;
+  }
+  const model = CARBON_MODELS[carbonModel.id];
+  return `${model?.name || carbonModel.id} (${carbonModel.version})`;
+};
@@ -6,8 +6,15 @@
  * files need to change.
  */
 
-import { BASELINE_GRID_INTENSITY } from "../config/energy-constants.js";
+import {
+  BASELINE_GRID_INTENSITY,
+  VIDEO_QUALITY_TIERS,
+} from "../config/energy-constants.js";
 import { getCurrentGoal } from "../storage/goal-storage.js";
+import {
+  aggregateByVideoTier,
+  estimateTierStepDownSavings,
+} from "./carbon-calculator.js";
 
 /**
  * @typedef {Object} RecommendationContext
@@ -16,6 +23,7 @@ import { getCurrentGoal } from "../storage/goal-storage.js";
  * @property {number}  total           - Total carbon for the period (grams)
  * @property {number}  totalMB         - Total data transferred (MB)
  * @property {number}  videoMB         - Video data transferred (MB)
+ * @property {Object}  videoStepDown   - Savings from streaming one tier lower
  * @property {number}  totalTime       - Total active browsing time (minutes)
  * @property {Object}  platformTotals  - Carbon totals keyed by platform
  * @property {Array}   topPlatform     - [name, grams] of the highest-carbon platform
@@ -39,14 +47,19 @@ export const RECOMMENDATIONS = [
 
   {
     id: 'lower_video_quality',
-    check: ({ categoryTotals, total, videoMB }) =>
-      categoryTotals.media > total * 0.3 && videoMB > 100,
-    build: ({ categoryTotals }) => ({
-      action: "Lower video quality",
-      impact: `Save ~${fmt(categoryTotals.media * 0.3)} CO₂`,
-      description:
-        "Streaming at 720p instead of 1080p can reduce data transfer by 30–40%.",
-    }),
+    check: ({ videoStepDown, videoMB }) =>
+      videoMB > 100 && videoStepDown.total > 0 && videoStepDown.topTier !== null,
+    build: ({ videoStepDown }) => {
+      const step = videoStepDown.byTier[videoStepDown.topTier];
+      const from = VIDEO_QUALITY_TIERS[videoStepDown.topTier].label;
+      const to = VIDEO_QUALITY_TIERS[step.to].label;
+      return {
+        action: "Lower video quality",
+        impact: `Save ~${fmt(videoStepDown.total)} CO₂`,
+        description:
+          `Most of your video carbon came from ${from} streams. Watching at ${to} instead uses ~${step.percent}% less data.`,
+      };
+    },
   },
 
   {
@@ -170,6 +183,8 @@ export const generateRecommendations = async (events, categoryTotals, total) =>
   const videoMB    = events.reduce((s, e) => s + (e.data?.videoMB   || 0), 0);
   const totalTime  = events.reduce((s, e) => s + (e.data?.timeActive || 0), 0);
 
+  const videoStepDown = estimateTierStepDownSavings(aggregateByVideoTier(events));
+
   const platformTotals = {};
   events.forEach(e => {
     const p = e.platform || 'unknown';
@@ -186,8 +201,8 @@ export const generateRecommendations = async (events, categoryTotals, total) =>
 
   const goal = await getCurrentGoal();
 
-  const ctx = { events, categoryTotals, total, totalMB, videoMB, totalTime,
-                platformTotals, topPlatform, gridIntensity, goal };
+  const ctx = { events, categoryTotals, total, totalMB, videoMB, videoStepDown,
+                totalTime, platformTotals, topPlatform, gridIntensity, goal };
 
   const results = RECOMMENDATIONS
     .filter(r => { try { return r.check(ctx); } catch { return false; } })
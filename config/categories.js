@@ -1,18 +1,44 @@
 /**
  * Website categorization for carbon tracking
  *
- * Simplified 3-category system:
- * - media: Streaming & Social (high data, continuous engagement)
+ * Sites are sorted into subcategories (video streaming, social, email, ...)
+ * that roll up to the original 3 categories:
+ * - media: Streaming, social and gaming (high data, continuous engagement)
  * - shopping: E-commerce
- * - browsing: Everything else (news, docs, productivity)
+ * - browsing: Everything else (news, docs, email, search, calls, AI)
+ *
+ * Events store the subcategory as their type. Events saved before
+ * subcategories existed keep "media" or "browsing" until re-categorized.
+ */
+
+/**
+ * Subcategories and the category each rolls up to
+ */
+export const CATEGORY_TAXONOMY = {
+  video: { parent: "media", name: "Video Streaming" },
+  social: { parent: "media", name: "Social Media" },
+  gaming: { parent: "media", name: "Gaming" },
+  shopping: { parent: "shopping", name: "Shopping" },
+  video_calls: { parent: "browsing", name: "Video Calls" },
+  ai: { parent: "browsing", name: "AI Assistants" },
+  news: { parent: "browsing", name: "News" },
+  productivity: { parent: "browsing", name: "Productivity & Work" },
+  email: { parent: "browsing", name: "Email" },
+  search: { parent: "browsing", name: "Search" },
+  other: { parent: "browsing", name: "Other Browsing" },
+};
+
+/**
+ * Subcategory for sites no rule matches
  */
+export const DEFAULT_SUBCATEGORY = "other";
 
 /**
- * Website domain to category mappings
+ * Website domain to subcategory mappings. Entries with a path
+ * ("youtube.com/shorts") only match that section of the site.
  */
 export const WEBSITE_CATEGORIES = {
-  media: [
-    // Video streaming
+  video: [
     "youtube.com",
     "youtu.be",
     "netflix.com",
@@ -21,9 +47,14 @@ export const WEBSITE_CATEGORIES = {
     "hulu.com",
     "disneyplus.com",
     "hbomax.com",
+    "max.com",
     "primevideo.com",
     "crunchyroll.com",
-    // Social media
+    "dailymotion.com",
+  ],
+
+  social: [
+    "youtube.com/shorts",
     "reddit.com",
     "instagram.com",
     "facebook.com",
@@ -34,6 +65,18 @@ export const WEBSITE_CATEGORIES = {
     "pinterest.com",
     "snapchat.com",
     "tumblr.com",
+    "threads.net",
+    "bsky.app",
+  ],
+
+  gaming: [
+    "steampowered.com",
+    "steamcommunity.com",
+    "epicgames.com",
+    "roblox.com",
+    "chess.com",
+    "lichess.org",
+    "itch.io",
   ],
 
   shopping: [
@@ -54,7 +97,74 @@ export const WEBSITE_CATEGORIES = {
     "lowes.com",
   ],
 
-  // Everything else defaults to 'browsing'
+  video_calls: [
+    "meet.google.com",
+    "zoom.us",
+    "teams.microsoft.com",
+    "teams.live.com",
+    "webex.com",
+    "whereby.com",
+    "meet.jit.si",
+  ],
+
+  ai: [
+    "chatgpt.com",
+    "chat.openai.com",
+    "claude.ai",
+    "gemini.google.com",
+    "copilot.microsoft.com",
+    "perplexity.ai",
+    "poe.com",
+  ],
+
+  news: [
+    "news.google.com",
+    "nytimes.com",
+    "washingtonpost.com",
+    "theguardian.com",
+    "bbc.com",
+    "bbc.co.uk",
+    "cnn.com",
+    "reuters.com",
+    "apnews.com",
+    "bloomberg.com",
+  ],
+
+  productivity: [
+    "docs.google.com",
+    "drive.google.com",
+    "calendar.google.com",
+    "office.com",
+    "notion.so",
+    "slack.com",
+    "atlassian.net",
+    "trello.com",
+    "figma.com",
+    "github.com",
+    "gitlab.com",
+    "dropbox.com",
+  ],
+
+  email: [
+    "mail.google.com",
+    "outlook.live.com",
+    "outlook.office.com",
+    "mail.yahoo.com",
+    "mail.proton.me",
+    "fastmail.com",
+  ],
+
+  search: [
+    "google.com",
+    "bing.com",
+    "duckduckgo.com",
+    "search.yahoo.com",
+    "search.brave.com",
+    "ecosia.org",
+    "kagi.com",
+  ],
+
+  // Everything else defaults to 'other' (rolls up to 'browsing')
 };
 
 /**
@@ -67,15 +177,145 @@ export const CATEGORY_DISPLAY_NAMES = {
 };
 
 /**
- * Get category for a website domain
- * @param {string} domain - Website domain
- * @returns {string} Category: 'media', 'shopping', or 'browsing'
+ * Get the top-level category a subcategory rolls up to
+ * @param {string} type - Subcategory (or a legacy top-level category)
+ * @returns {string} 'media', 'shopping', or 'browsing'
+ */
+export const getParentCategory = (type) => {
+  if (CATEGORY_TAXONOMY[type]) return CATEGORY_TAXONOMY[type].parent;
+  return CATEGORY_DISPLAY_NAMES[type] ? type : "browsing";
+};
+
+/**
+ * Get a display name for a subcategory or top-level category
+ * @param {string} type - Category key
+ * @returns {string} Display name
+ */
+export const getCategoryDisplayName = (type) =>
+  CATEGORY_TAXONOMY[type]?.name || CATEGORY_DISPLAY_NAMES[type] || type;
+
+/**
+ * Rule types, in the order they're offered in settings
+ * - exact: the host only ("music.youtube.com")
+ * - suffix: the domain and its subdomains ("youtube.com")
+ * - path: a domain (and subdomains) plus a path prefix ("youtube.com/shorts")
+ * - regex: a regular expression tested against host + path
  */
-export const categorizeWebsite = (domain) => {
-  for (const [category, domains] of Object.entries(WEBSITE_CATEGORIES)) {
-    if (domains.some((d) => domain.includes(d))) {
-      return category;
+export const RULE_TYPES = {
+  exact: "Exact host",
+  suffix: "Domain + subdomains",
+  path: "Domain + path prefix",
+  regex: "Regex (host + path)",
+};
+
+/**
+ * Built-in rules, checked after the user's own rules. The most specific
+ * come first, so "docs.google.com" wins over "google.com" and
+ * "youtube.com/shorts" over "youtube.com".
+ */
+export const DEFAULT_CATEGORY_RULES = Object.entries(WEBSITE_CATEGORIES)
+  .flatMap(([category, domains]) =>
+    domains.map((domain) => ({
+      type: domain.includes("/") ? "path" : "suffix",
+      pattern: domain,
+      category,
+    })),
+  )
+  .sort(
+    (a, b) =>
+      Number(b.type === "path") - Number(a.type === "path") ||
+      b.pattern.split(".").length - a.pattern.split(".").length,
+  );
+
+const compiledPatterns = new Map();
+
+const normalizeHost = (host) =>
+  (host || "")
+    .trim()
+    .toLowerCase()
+    .replace(/^www\./, "");
+
+const isOnDomain = (host, domain) =>
+  host === domain || host.endsWith(`.${domain}`);
+
+/**
+ * Compile (and cache) a regex rule's pattern
+ * @param {string} pattern - Regular expression source
+ * @returns {RegExp|null} Compiled pattern, or null if it's invalid
+ */
+const compilePattern = (pattern) => {
+  if (!compiledPatterns.has(pattern)) {
+    let regex = null;
+    try {
+      regex = new RegExp(pattern, "i");
+    } catch {
+      // Invalid patterns never match
     }
+    compiledPatterns.set(pattern, regex);
   }
-  return "browsing";
+  return compiledPatterns.get(pattern);
 };
+
+/**
+ * Check whether a rule matches a page
+ * @param {Object} rule - { type, pattern, category }
+ * @param {string} host - Page host
+ * @param {string} path - Page path (e.g. "/shorts/abc")
+ * @returns {boolean} True if the rule applies
+ */
+export const matchesRule = (rule, host, path = "/") => {
+  const pageHost = normalizeHost(host);
+  const pattern = (rule?.pattern || "").trim();
+  if (!pattern) return false;
+
+  switch (rule.type) {
+    case "exact":
+      return pageHost === normalizeHost(pattern);
+
+    case "suffix":
+      return isOnDomain(pageHost, normalizeHost(pattern));
+
+    case "path": {
+      const slash = pattern.indexOf("/");
+      if (slash === -1) return isOnDomain(pageHost, normalizeHost(pattern));
+      return (
+        isOnDomain(pageHost, normalizeHost(pattern.slice(0, slash))) &&
+        path.toLowerCase().startsWith(pattern.slice(slash).toLowerCase())
+      );
+    }
+
+    case "regex":
+      return compilePattern(pattern)?.test(pageHost + path) || false;
+
+    default:
+      return false;
+  }
+};
+
+/**
+ * Find the first rule that matches a page, user rules first
+ * @param {string} domain - Website domain
+ * @param {string} path - Page path
+ * @param {Array} userRules - Ordered user rules
+ * @returns {Object|null} Matching rule (with isDefault for built-ins)
+ */
+export const findMatchingRule = (domain, path = "/", userRules = []) => {
+  const userRule = userRules.find((rule) => matchesRule(rule, domain, path));
+  if (userRule) return userRule;
+
+  const defaultRule = DEFAULT_CATEGORY_RULES.find((rule) =>
+    matchesRule(rule, domain, path),
+  );
+  return defaultRule ? { ...defaultRule, isDefault: true } : null;
+};
+
+/**
+ * Get category for a website
+ * @param {string} domain - Website domain
+ * @param {string} path - Page path (optional)
+ * @param {Array} userRules - Ordered user rules (optional)
+ * @returns {string} Subcategory (see CATEGORY_TAXONOMY)
+ */
+export const categorizeWebsite = (domain, path = "/", userRules = []) =>
+  findMatchingRule(domain, path || "/", userRules)?.category ||
+  DEFAULT_SUBCATEGORY;
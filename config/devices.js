@@ -16,6 +16,62 @@ export const DEVICE_ENERGY = {
   },
 };
 
+/**
+ * Device power range in Watts, from idle (screen on, static page) to fully
+ * loaded (games, WebGL, heavy web apps). The typical browsing figures in
+ * DEVICE_ENERGY sit at TYPICAL_BROWSING_LOAD within these ranges; CPU load
+ * measured on a page moves power below or above them.
+ */
+export const DEVICE_POWER_RANGE = {
+  phone: { idle: 4, loaded: 10 },
+  tablet: { idle: 8, loaded: 20 },
+  laptop: { idle: 15, loaded: 45 },
+  desktop: { idle: 30, loaded: 100 },
+  tv: { idle: 95, loaded: 120 },
+};
+
+/**
+ * Embodied carbon (manufacturing, transport, end of life) by device class,
+ * with typical lifetime and hours of active use per day to amortize it
+ * over. Medians of manufacturer product carbon footprints (Apple, Dell, HP,
+ * Lenovo, Samsung) and the Boavizta dataset; desktops include a monitor.
+ */
+export const DEVICE_EMBODIED_CARBON = {
+  phone: { kgCO2e: 60, lifetimeYears: 3, activeHoursPerDay: 4 },
+  tablet: { kgCO2e: 90, lifetimeYears: 4, activeHoursPerDay: 2 },
+  laptop: { kgCO2e: 250, lifetimeYears: 4, activeHoursPerDay: 6 },
+  desktop: { kgCO2e: 500, lifetimeYears: 5, activeHoursPerDay: 6 },
+  tv: { kgCO2e: 350, lifetimeYears: 7, activeHoursPerDay: 4 },
+};
+
+/**
+ * CPU load at which a device draws its typical browsing power (0 = idle,
+ * 1 = fully loaded)
+ */
+export const TYPICAL_BROWSING_LOAD = 0.2;
+
+/**
+ * CPU load implied by each Compute Pressure API state (0 = idle, 1 = fully
+ * loaded). "fair" is ordinary use, so it maps to typical browsing.
+ */
+export const CPU_PRESSURE_LOAD = {
+  nominal: 0,
+  fair: TYPICAL_BROWSING_LOAD,
+  serious: 0.6,
+  critical: 1,
+};
+
+/**
+ * Extra power drawn by media playing in a background tab, in Watts.
+ *
+ * The screen and the rest of the device are already billed to whatever is
+ * in the foreground, so this only covers decoding and audio output.
+ */
+export const BACKGROUND_MEDIA_ENERGY = {
+  audio: 1.5, // Audio decode + speaker/headphone output
+  video: 3, // Video decode (Chrome drops frames for hidden video)
+};
+
 /**
  * User-friendly device display names
  */
@@ -5,12 +5,71 @@
  */
 
 /**
- * Network data transfer energy consumption
+ * Network data transfer energy consumption. Uploads cross the same access
+ * and core networks, so they're priced like downloads.
  */
 export const NETWORK_ENERGY = {
   kWhPerGB: 0.016, // Energy consumed per GB of data transferred (IEA 2024)
 };
 
+/**
+ * Network energy by access network (kWh per GB, uploads and downloads)
+ *
+ * The core network costs the same either way; the last hop doesn't. Mobile
+ * radio access uses several times more energy per GB than fixed broadband,
+ * and older/slower mobile networks more still (Carbon Trust 2021, Pihkola
+ * et al. 2018). Unknown connections use the NETWORK_ENERGY average.
+ */
+export const ACCESS_NETWORK_ENERGY = {
+  wired: { label: "Wired", kWhPerGB: 0.012 },
+  wifi: { label: "Wi-Fi", kWhPerGB: 0.015 },
+  cellular: { label: "Mobile (4G/5G)", kWhPerGB: 0.05 },
+  cellular_slow: { label: "Mobile (2G/3G)", kWhPerGB: 0.15 },
+  unknown: { label: "Unknown", kWhPerGB: NETWORK_ENERGY.kWhPerGB },
+};
+
+/**
+ * Uncertainty of each carbon segment, as low/high factors on the central
+ * estimate
+ *
+ * Published network figures span roughly an order of magnitude depending on
+ * study year and system boundary (Aslan et al. 2018, IEA 2024), and device
+ * wattage varies with brightness, age and workload; a battery calibration
+ * narrows the latter as its confidence grows. Segments without an entry use
+ * DEFAULT_UNCERTAINTY.
+ *
+ * The grid bounds multiply the segments priced at the user's grid. A live
+ * regional reading is close; without one the global baseline stands in for
+ * grids anywhere from hydro (~30 gCO₂/kWh) to coal (~900).
+ */
+export const CARBON_UNCERTAINTY = {
+  network: { low: 0.5, high: 2 },
+  device: { low: 0.6, high: 1.5 },
+  calibratedDevice: { low: 0.85, high: 1.2 },
+  grid: { low: 0.9, high: 1.1 },
+  estimatedGrid: { low: 0.75, high: 1.3 },
+  unknownGrid: { low: 0.1, high: 1.9 },
+  backgroundMedia: { low: 0.5, high: 2 },
+  dataCentre: { low: 0.5, high: 2 },
+  deviceEmbodied: { low: 0.5, high: 2 },
+  embodied: { low: 0.5, high: 2 },
+};
+
+export const DEFAULT_UNCERTAINTY = { low: 0.5, high: 2 };
+
+/**
+ * Video resolution tiers with typical streaming bitrates
+ *
+ * Bitrates follow published streaming guidance (Netflix, YouTube) and are
+ * only used as ratios to estimate what stepping down a tier saves.
+ */
+export const VIDEO_QUALITY_TIERS = {
+  "480p": { label: "480p", bitrateMbps: 1.1 },
+  "720p": { label: "720p", bitrateMbps: 2.5 },
+  "1080p": { label: "1080p", bitrateMbps: 5 },
+  "4k": { label: "4K", bitrateMbps: 16 },
+};
+
 /**
  * Grid carbon intensity baseline
  *
@@ -32,6 +91,7 @@ export const EQUIVALENCIES = {
  * Database configuration
  */
 export const DB_NAME = "CurbYourCarbonDB";
+export const DB_VERSION = 2;
 
 export const STORE_NAMES = {
   events: "events",
@@ -0,0 +1,260 @@
+/**
+ * Bundled third-party / tracker domain list
+ *
+ * Maps the domains of common ad, analytics, social and content services to
+ * the company that owns them. Subdomains match their parent entry. This is
+ * the fallback when no downloaded list is cached (see
+ * services/third-party-list.js), so it only needs to cover the big players.
+ *
+ * Categories:
+ * - advertising: Ad networks, exchanges and retargeting
+ * - analytics: Measurement, session replay and monitoring
+ * - social: Share buttons, pixels and embedded feeds
+ * - content: Fonts, CDN-hosted libraries, embedded players and maps
+ *
+ * THIRD_PARTY_ENTITY_PROPERTIES lists sites the same companies run, so their
+ * own CDNs aren't counted as third-party on those sites.
+ */
+
+export const THIRD_PARTY_LIST_VERSION = "2026-10-bundled";
+
+export const THIRD_PARTY_CATEGORY_NAMES = {
+  advertising: "Advertising",
+  analytics: "Analytics",
+  social: "Social",
+  content: "Content",
+};
+
+export const THIRD_PARTY_ENTITIES = [
+  // Advertising
+  {
+    entity: "Google",
+    category: "advertising",
+    domains: [
+      "doubleclick.net",
+      "googlesyndication.com",
+      "googleadservices.com",
+      "googletagservices.com",
+      "adservice.google.com",
+      "2mdn.net",
+    ],
+  },
+  {
+    entity: "Amazon",
+    category: "advertising",
+    domains: ["amazon-adsystem.com", "assoc-amazon.com"],
+  },
+  {
+    entity: "Microsoft",
+    category: "advertising",
+    domains: ["bat.bing.com", "ads.microsoft.com"],
+  },
+  {
+    entity: "Criteo",
+    category: "advertising",
+    domains: ["criteo.com", "criteo.net"],
+  },
+  {
+    entity: "Taboola",
+    category: "advertising",
+    domains: ["taboola.com", "taboolasyndication.com"],
+  },
+  {
+    entity: "Outbrain",
+    category: "advertising",
+    domains: ["outbrain.com", "outbrainimg.com"],
+  },
+  {
+    entity: "Xandr",
+    category: "advertising",
+    domains: ["adnxs.com", "adnxs-simple.com"],
+  },
+  {
+    entity: "Magnite",
+    category: "advertising",
+    domains: ["rubiconproject.com"],
+  },
+  { entity: "PubMatic", category: "advertising", domains: ["pubmatic.com"] },
+  { entity: "OpenX", category: "advertising", domains: ["openx.net"] },
+  {
+    entity: "Index Exchange",
+    category: "advertising",
+    domains: ["casalemedia.com"],
+  },
+  {
+    entity: "The Trade Desk",
+    category: "advertising",
+    domains: ["adsrvr.org"],
+  },
+  {
+    entity: "Oracle",
+    category: "advertising",
+    domains: ["moatads.com", "bluekai.com"],
+  },
+  {
+    entity: "Adobe",
+    category: "advertising",
+    domains: ["demdex.net", "everesttech.net"],
+  },
+
+  // Analytics
+  {
+    entity: "Google",
+    category: "analytics",
+    domains: [
+      "google-analytics.com",
+      "googletagmanager.com",
+      "analytics.google.com",
+    ],
+  },
+  {
+    entity: "Adobe",
+    category: "analytics",
+    domains: ["omtrdc.net", "adobedtm.com"],
+  },
+  { entity: "Microsoft", category: "analytics", domains: ["clarity.ms"] },
+  {
+    entity: "Hotjar",
+    category: "analytics",
+    domains: ["hotjar.com", "hotjar.io"],
+  },
+  {
+    entity: "Segment",
+    category: "analytics",
+    domains: ["segment.com", "segment.io"],
+  },
+  {
+    entity: "Mixpanel",
+    category: "analytics",
+    domains: ["mixpanel.com", "mxpnl.com"],
+  },
+  { entity: "Amplitude", category: "analytics", domains: ["amplitude.com"] },
+  {
+    entity: "New Relic",
+    category: "analytics",
+    domains: ["nr-data.net", "newrelic.com"],
+  },
+  {
+    entity: "Datadog",
+    category: "analytics",
+    domains: ["browser-intake-datadoghq.com"],
+  },
+  {
+    entity: "Sentry",
+    category: "analytics",
+    domains: ["sentry.io", "sentry-cdn.com"],
+  },
+  {
+    entity: "Comscore",
+    category: "analytics",
+    domains: ["scorecardresearch.com"],
+  },
+  {
+    entity: "Quantcast",
+    category: "analytics",
+    domains: ["quantserve.com", "quantcount.com"],
+  },
+  { entity: "Yandex", category: "analytics", domains: ["mc.yandex.ru"] },
+  {
+    entity: "Cloudflare",
+    category: "analytics",
+    domains: ["cloudflareinsights.com"],
+  },
+
+  // Social
+  {
+    entity: "Meta",
+    category: "social",
+    domains: [
+      "facebook.net",
+      "facebook.com",
+      "fbcdn.net",
+      "instagram.com",
+      "cdninstagram.com",
+    ],
+  },
+  {
+    entity: "X",
+    category: "social",
+    domains: ["ads-twitter.com", "twitter.com", "twimg.com", "x.com"],
+  },
+  {
+    entity: "LinkedIn",
+    category: "social",
+    domains: ["licdn.com", "linkedin.com"],
+  },
+  {
+    entity: "TikTok",
+    category: "social",
+    domains: ["tiktok.com", "tiktokcdn.com"],
+  },
+  {
+    entity: "Pinterest",
+    category: "social",
+    domains: ["pinterest.com", "pinimg.com"],
+  },
+  {
+    entity: "Reddit",
+    category: "social",
+    domains: ["redditstatic.com", "redditmedia.com"],
+  },
+
+  // Content
+  {
+    entity: "Google",
+    category: "content",
+    domains: [
+      "googleapis.com",
+      "gstatic.com",
+      "youtube.com",
+      "youtube-nocookie.com",
+      "ytimg.com",
+      "googlevideo.com",
+    ],
+  },
+  {
+    entity: "Cloudflare",
+    category: "content",
+    domains: ["cdnjs.cloudflare.com"],
+  },
+  { entity: "jsDelivr", category: "content", domains: ["jsdelivr.net"] },
+  {
+    entity: "Vimeo",
+    category: "content",
+    domains: ["vimeo.com", "vimeocdn.com"],
+  },
+  { entity: "Adobe", category: "content", domains: ["typekit.net"] },
+];
+
+/**
+ * Sites owned by listed companies (fallback for Disconnect's entities.json)
+ */
+export const THIRD_PARTY_ENTITY_PROPERTIES = {
+  Google: ["google.com", "youtube.com", "gmail.com", "blogger.com"],
+  Amazon: ["amazon.com", "twitch.tv", "imdb.com", "primevideo.com"],
+  Microsoft: [
+    "microsoft.com",
+    "bing.com",
+    "live.com",
+    "outlook.com",
+    "office.com",
+    "msn.com",
+    "xbox.com",
+    "github.com",
+  ],
+  Meta: [
+    "facebook.com",
+    "instagram.com",
+    "whatsapp.com",
+    "messenger.com",
+    "threads.net",
+  ],
+  X: ["twitter.com", "x.com"],
+  LinkedIn: ["linkedin.com"],
+  TikTok: ["tiktok.com"],
+  Pinterest: ["pinterest.com"],
+  Reddit: ["reddit.com"],
+  Vimeo: ["vimeo.com"],
+  Adobe: ["adobe.com"],
+  Yandex: ["yandex.ru", "yandex.com"],
+};
@@ -0,0 +1,25 @@
+/**
+ * Video streaming URL patterns
+ *
+ * Matched against request URLs to recognise video segments, manifests and
+ * CDNs that are fetched as XHR/fetch rather than by a <video> element. The
+ * network meter imports this list; content scripts can't import modules,
+ * so the service worker mirrors it into chrome.storage.local for them.
+ */
+
+export const VIDEO_URL_PATTERNS_KEY = "videoUrlPatterns";
+
+export const VIDEO_URL_PATTERNS = [
+  "googlevideo.com", // YouTube
+  "cloudfront.net/video", // Generic video CDN
+  "twitch.tv/video", // Twitch HLS
+  ".m3u8", // HLS manifest
+  ".ts", // HLS chunks (can be ambiguous)
+  "video.twitch.tv", // Twitch video
+  "vod-", // Video on demand
+  "nflxvideo.net", // Netflix
+  "hls.ttvnw.net", // Twitch HLS
+  "video-edge", // Generic video edge
+  "/manifest/", // Streaming manifests
+  "playlist.m3u8", // HLS playlists
+];
@@ -74,7 +74,8 @@ export const setLastKnownLocation = async (lat, lon) => {
 };
 
 /**
- * Ensure offscreen document exists for geolocation
+ * Ensure offscreen document exists for geolocation (and battery sampling,
+ * see background/battery-calibration.js)
  */
 export const ensureOffscreenDocument = async () => {
   try {
@@ -89,9 +90,12 @@ export const ensureOffscreenDocument = async () => {
   try {
     await chrome.offscreen.createDocument({
       url: chrome.runtime.getURL("background/offscreen.html"),
-      reasons: [chrome.offscreen.Reason.GEOLOCATION],
+      reasons: [
+        chrome.offscreen.Reason.GEOLOCATION,
+        chrome.offscreen.Reason.BATTERY_STATUS,
+      ],
       justification:
-        "Get approximate user location to determine local grid carbon intensity for CO2 estimates.",
+        "Get approximate user location to determine local grid carbon intensity, and battery drain to calibrate device power, for CO2 estimates.",
     });
   } catch {
     // If it already exists, Chrome can throw; safe to ignore
@@ -0,0 +1,268 @@
+/**
+ * Third-party / tracker domain list service
+ *
+ * Classifies hosts against Disconnect's tracker list (downloaded weekly and
+ * cached) or the bundled list in config/third-party-domains.js, and
+ * attributes third-party bytes to the company that owns them. Disconnect's
+ * entity list says which company runs the page itself, so that company's
+ * CDNs aren't charged as third-party.
+ */
+import {
+  THIRD_PARTY_ENTITIES,
+  THIRD_PARTY_ENTITY_PROPERTIES,
+  THIRD_PARTY_LIST_VERSION,
+} from "../config/third-party-domains.js";
+
+const THIRD_PARTY_LIST_KEY = "thirdPartyList";
+const THIRD_PARTY_LIST_TTL_MS = 7 * 24 * 60 * 60 * 1000; // 1 week
+const THIRD_PARTY_LIST_URL =
+  "https://raw.githubusercontent.com/disconnectme/disconnect-tracking-protection/master/services.json";
+const THIRD_PARTY_ENTITIES_URL =
+  "https://raw.githubusercontent.com/disconnectme/disconnect-tracking-protection/master/entities.json";
+
+// Disconnect category → our category
+const DISCONNECT_CATEGORIES = {
+  Advertising: "advertising",
+  Analytics: "analytics",
+  Social: "social",
+  Content: "content",
+  FingerprintingInvasive: "analytics",
+  FingerprintingGeneral: "analytics",
+  Cryptomining: "advertising",
+  Email: "analytics",
+  EmailAggressive: "analytics",
+};
+
+let listFetchInFlight = null;
+let domainIndex = { version: null, domains: new Map() };
+
+/**
+ * Convert Disconnect's services.json into our entity list
+ * @param {Object} json - Parsed services.json
+ * @returns {Array} [{ entity, category, domains }]
+ */
+export const parseDisconnectList = (json) => {
+  const entities = [];
+
+  Object.entries(json?.categories || {}).forEach(([name, entries]) => {
+    const category = DISCONNECT_CATEGORIES[name];
+    if (!category || !Array.isArray(entries)) return;
+
+    entries.forEach((entry) => {
+      Object.entries(entry).forEach(([entity, homepages]) => {
+        const domains = Object.values(homepages || {})
+          .filter(Array.isArray)
+          .flat();
+        if (domains.length > 0) entities.push({ entity, category, domains });
+      });
+    });
+  });
+
+  return entities;
+};
+
+/**
+ * Convert Disconnect's entities.json into site → company
+ * @param {Object} json - Parsed entities.json
+ * @returns {Object} { domain: entity } for each company's sites and CDNs
+ */
+export const parseDisconnectEntities = (json) => {
+  const properties = {};
+
+  Object.entries(json?.entities || {}).forEach(([entity, owned]) => {
+    [...(owned?.properties || []), ...(owned?.resources || [])].forEach(
+      (domain) => {
+        if (typeof domain === "string" && !properties[domain]) {
+          properties[domain] = entity;
+        }
+      },
+    );
+  });
+
+  return properties;
+};
+
+/**
+ * Download Disconnect's entity list
+ * @returns {Promise<Object|null>} { domain: entity } or null on failure
+ */
+const fetchEntityProperties = async () => {
+  try {
+    const response = await fetch(THIRD_PARTY_ENTITIES_URL);
+    if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+    const properties = parseDisconnectEntities(await response.json());
+    return Object.keys(properties).length > 0 ? properties : null;
+  } catch (error) {
+    console.warn("Third-party entity list update failed:", error);
+    return null;
+  }
+};
+
+/**
+ * Download the latest lists and cache them
+ * @returns {Promise<Object|null>} Cached list or null on failure
+ */
+export const refreshThirdPartyList = async () => {
+  if (listFetchInFlight) return listFetchInFlight;
+
+  listFetchInFlight = (async () => {
+    try {
+      const [response, properties] = await Promise.all([
+        fetch(THIRD_PARTY_LIST_URL),
+        fetchEntityProperties(),
+      ]);
+      if (!response.ok) throw new Error(`HTTP ${response.status}`);
+
+      const entities = parseDisconnectList(await response.json());
+      if (entities.length === 0) throw new Error("List is empty");
+
+      const list = {
+        version: `disconnect-${Date.now()}`,
+        updatedAt: Date.now(),
+        entities,
+        properties,
+      };
+      await chrome.storage.local.set({ [THIRD_PARTY_LIST_KEY]: list });
+      return list;
+    } catch (error) {
+      console.warn("Third-party list update failed:", error);
+      return null;
+    } finally {
+      listFetchInFlight = null;
+    }
+  })();
+
+  return listFetchInFlight;
+};
+
+/**
+ * Get the current list, refreshing it in the background when stale
+ * @returns {Promise<{version: string, entities: Array}>} Domain list
+ */
+export const getThirdPartyList = async () => {
+  const result = await chrome.storage.local.get(THIRD_PARTY_LIST_KEY);
+  const cached = result?.[THIRD_PARTY_LIST_KEY];
+
+  if (!cached || Date.now() - cached.updatedAt > THIRD_PARTY_LIST_TTL_MS) {
+    refreshThirdPartyList();
+  }
+
+  if (cached?.entities?.length) return cached;
+  return { version: THIRD_PARTY_LIST_VERSION, entities: THIRD_PARTY_ENTITIES };
+};
+
+/**
+ * Build (or reuse) the domain → owner lookups for a list
+ * @param {Object} list - Output of getThirdPartyList()
+ * @returns {{domains: Map, properties: Map}} Tracker domain → { entity,
+ *   category }, and site → entity for the companies' own sites
+ */
+const getDomainIndex = (list) => {
+  if (domainIndex.version !== list.version) {
+    const domains = new Map();
+    list.entities.forEach(({ entity, category, domains: entityDomains }) => {
+      entityDomains.forEach((domain) => {
+        // First listing wins, so ad domains keep their ad classification
+        if (!domains.has(domain)) domains.set(domain, { entity, category });
+      });
+    });
+
+    // Lists cached before entity data was downloaded use the bundled sites
+    const properties = new Map(Object.entries(list.properties || {}));
+    if (properties.size === 0) {
+      Object.entries(THIRD_PARTY_ENTITY_PROPERTIES).forEach(
+        ([entity, sites]) => {
+          sites.forEach((site) => properties.set(site, entity));
+        },
+      );
+    }
+
+    domainIndex = { version: list.version, domains, properties };
+  }
+  return domainIndex;
+};
+
+/**
+ * Look a host up in a domain map, matching subdomains of listed domains
+ * @param {string} hostname - Host to look up
+ * @param {Map} domains - Domain map
+ * @returns {*} Value for the closest listed domain, or null if unlisted
+ */
+const lookupHost = (hostname, domains) => {
+  const labels = hostname
+    .toLowerCase()
+    .replace(/^www\./, "")
+    .split(".");
+  for (let i = 0; i < labels.length - 1; i++) {
+    const value = domains.get(labels.slice(i).join("."));
+    if (value) return value;
+  }
+  return null;
+};
+
+/**
+ * Find the company running a page: from the tracker list when its domain is
+ * listed there, otherwise from the companies' own sites
+ * @param {string} pageDomain - Domain of the page
+ * @param {Object} index - Output of getDomainIndex()
+ * @returns {string|null} Entity name
+ */
+const getPageEntity = (pageDomain, { domains, properties }) =>
+  lookupHost(pageDomain, domains)?.entity ||
+  lookupHost(pageDomain, properties);
+
+/**
+ * Attribute bytes per host to the third-party entities that own them.
+ * Hosts owned by the same company as the page (e.g. googlevideo.com and
+ * ytimg.com on youtube.com) aren't third-party, and unlisted hosts are
+ * ignored.
+ * @param {Object} mbByHost - { hostname: MB }
+ * @param {string} pageDomain - Domain of the page the bytes belong to
+ * @returns {Promise<{thirdPartyMB: number, thirdPartyByEntity: Object, thirdPartyListVersion: string}>}
+ */
+export const attributeThirdPartyBytes = async (mbByHost, pageDomain) => {
+  const list = await getThirdPartyList();
+  const index = getDomainIndex(list);
+  const { domains } = index;
+  const pageEntity = pageDomain ? getPageEntity(pageDomain, index) : null;
+
+  const thirdPartyByEntity = {};
+  let thirdPartyMB = 0;
+
+  Object.entries(mbByHost || {}).forEach(([hostname, mb]) => {
+    const owner = lookupHost(hostname, domains);
+    if (!owner || owner.entity === pageEntity || !(mb > 0)) return;
+
+    if (!thirdPartyByEntity[owner.entity]) {
+      thirdPartyByEntity[owner.entity] = {
+        mb: 0,
+        category: null,
+        byCategory: {},
+      };
+    }
+    const entry = thirdPartyByEntity[owner.entity];
+    entry.mb += mb;
+    entry.byCategory[owner.category] =
+      (entry.byCategory[owner.category] || 0) + mb;
+    thirdPartyMB += mb;
+  });
+
+  // Companies with several services (Google's ads, analytics and YouTube)
+  // are labelled by the one that moved the most data
+  Object.values(thirdPartyByEntity).forEach((entry) => {
+    entry.mb = +entry.mb.toFixed(3);
+    entry.category = Object.entries(entry.byCategory).sort(
+      ([, a], [, b]) => b - a,
+    )[0][0];
+    Object.keys(entry.byCategory).forEach((category) => {
+      entry.byCategory[category] = +entry.byCategory[category].toFixed(3);
+    });
+  });
+
+  return {
+    thirdPartyMB: +thirdPartyMB.toFixed(3),
+    thirdPartyByEntity,
+    thirdPartyListVersion: list.version,
+  };
+};
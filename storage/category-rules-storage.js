@@ -0,0 +1,50 @@
+/**
+ * Category rule storage operations
+ * 
+ * User-defined categorization rules, synced across devices via chrome.storage.sync
+ */
+import { RULE_TYPES } from '../config/categories.js';
+
+export const CATEGORY_RULES_KEY = 'categoryRules';
+
+/**
+ * Check a rule has a known type, a pattern and a category
+ * @param {Object} rule - Candidate rule
+ * @returns {boolean} True if usable
+ */
+const isValidRule = (rule) =>
+  Boolean(rule) &&
+  Object.hasOwn(RULE_TYPES, rule.type) &&
+  typeof rule.pattern === 'string' &&
+  rule.pattern.trim() !== '' &&
+  typeof rule.category === 'string';
+
+/**
+ * Get the user's ordered category rules
+ * @returns {Promise<Array>} Rules ({ type, pattern, category })
+ */
+export const getCategoryRules = async () => {
+  try {
+    const result = await chrome.storage.sync.get(CATEGORY_RULES_KEY);
+    const rules = result[CATEGORY_RULES_KEY];
+    return Array.isArray(rules) ? rules.filter(isValidRule) : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Save the user's ordered category rules
+ * @param {Array} rules - Rules in priority order
+ * @returns {Promise<Array>} The rules that were saved
+ */
+export const saveCategoryRules = async (rules) => {
+  const cleaned = rules.filter(isValidRule).map(({ type, pattern, category }) => ({
+    type,
+    pattern: pattern.trim(),
+    category
+  }));
+
+  await chrome.storage.sync.set({ [CATEGORY_RULES_KEY]: cleaned });
+  return cleaned;
+};
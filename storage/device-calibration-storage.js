@@ -0,0 +1,134 @@
+/**
+ * Device calibration storage operations
+ *
+ * Battery-drain calibration of this device's browsing wattage. Settings and
+ * samples stay on this device (chrome.storage.local), since they describe
+ * its hardware. Samples record the device type they were collected for and
+ * only apply while Settings still names that type.
+ */
+
+export const CALIBRATION_SETTINGS_KEY = 'batteryCalibrationSettings';
+export const CALIBRATION_DATA_KEY = 'batteryCalibration';
+
+export const DEFAULT_BATTERY_CAPACITY_WH = 50;
+
+// Battery percentage points that must drain before the result is used
+export const MIN_CALIBRATION_PERCENT = 5;
+
+// Drain at which confidence is high; each reading is only accurate to 1%
+const HIGH_CONFIDENCE_PERCENT = 20;
+
+// Samples collected before the device type was recorded came from laptops
+const LEGACY_CALIBRATION_DEVICE = 'laptop';
+
+const EMPTY_CALIBRATION = {
+  deviceType: null,
+  drainedPercent: 0,
+  hours: 0,
+  lastSample: null,
+  charging: null,
+  unavailable: false,
+  updatedAt: null
+};
+
+/**
+ * Get calibration settings
+ * @returns {Promise<{enabled: boolean, capacityWh: number}>}
+ */
+export const getCalibrationSettings = async () => {
+  try {
+    const result = await chrome.storage.local.get(CALIBRATION_SETTINGS_KEY);
+    const settings = result[CALIBRATION_SETTINGS_KEY] || {};
+    return {
+      enabled: settings.enabled === true,
+      capacityWh: settings.capacityWh > 0 ? settings.capacityWh : DEFAULT_BATTERY_CAPACITY_WH
+    };
+  } catch (error) {
+    return { enabled: false, capacityWh: DEFAULT_BATTERY_CAPACITY_WH };
+  }
+};
+
+/**
+ * Update calibration settings
+ * @param {Object} changes - { enabled?, capacityWh? }
+ * @returns {Promise<Object>} Updated settings
+ */
+export const saveCalibrationSettings = async (changes) => {
+  const settings = { ...(await getCalibrationSettings()), ...changes };
+  await chrome.storage.local.set({ [CALIBRATION_SETTINGS_KEY]: settings });
+  return settings;
+};
+
+/**
+ * Get battery drain collected so far
+ * @returns {Promise<Object>} { drainedPercent, hours, lastSample, charging, unavailable, updatedAt }
+ */
+export const getCalibrationData = async () => {
+  try {
+    const result = await chrome.storage.local.get(CALIBRATION_DATA_KEY);
+    return { ...EMPTY_CALIBRATION, ...result[CALIBRATION_DATA_KEY] };
+  } catch (error) {
+    return { ...EMPTY_CALIBRATION };
+  }
+};
+
+/**
+ * Save battery drain collected so far
+ * @param {Object} data - Calibration data
+ */
+export const saveCalibrationData = async (data) => {
+  await chrome.storage.local.set({ [CALIBRATION_DATA_KEY]: { ...data, updatedAt: Date.now() } });
+};
+
+/**
+ * Discard collected samples and start over
+ * @param {string|null} deviceType - Device type the new samples are for
+ */
+export const resetCalibrationData = async (deviceType = null) => {
+  await chrome.storage.local.set({ [CALIBRATION_DATA_KEY]: { ...EMPTY_CALIBRATION, deviceType } });
+};
+
+/**
+ * Device type a calibration's samples were collected for
+ * @param {Object} data - Calibration data
+ * @returns {string} Device type code
+ */
+export const getCalibrationDeviceType = (data) => data?.deviceType || LEGACY_CALIBRATION_DEVICE;
+
+/**
+ * Confidence in a calibration, from how much of the battery it has seen drain
+ * @param {Object} data - Calibration data
+ * @returns {{level: string, score: number}} level is none, low, medium or high
+ */
+export const getCalibrationConfidence = (data) => {
+  const drained = data?.drainedPercent || 0;
+  const score = Math.min(drained / HIGH_CONFIDENCE_PERCENT, 1);
+
+  let level = 'none';
+  if (drained >= HIGH_CONFIDENCE_PERCENT) level = 'high';
+  else if (drained >= MIN_CALIBRATION_PERCENT * 2) level = 'medium';
+  else if (drained >= MIN_CALIBRATION_PERCENT) level = 'low';
+
+  return { level, score: +score.toFixed(2) };
+};
+
+/**
+ * Get the calibrated device profile, once enough drain has been seen. None
+ * is returned while calibration is turned off or Settings names a different
+ * device type than the samples were collected for.
+ * @param {string} deviceType - Device type currently selected in Settings
+ * @returns {Promise<Object|null>} { watts, capacityWh, drainedPercent, hours, confidence } or null
+ */
+export const getCalibratedProfile = async (deviceType) => {
+  const [settings, data] = await Promise.all([getCalibrationSettings(), getCalibrationData()]);
+  if (!settings.enabled || getCalibrationDeviceType(data) !== deviceType) return null;
+  if (data.drainedPercent < MIN_CALIBRATION_PERCENT || !(data.hours > 0)) return null;
+
+  return {
+    watts: +(((data.drainedPercent / 100) * settings.capacityWh) / data.hours).toFixed(1),
+    capacityWh: settings.capacityWh,
+    drainedPercent: +data.drainedPercent.toFixed(1),
+    hours: +data.hours.toFixed(2),
+    confidence: getCalibrationConfidence(data)
+  };
+};
@@ -0,0 +1,60 @@
+/**
+ * Device profile storage operations
+ *
+ * How this device's manufacturing carbon is amortized over browsing time.
+ * It's off until turned on in settings. Empty fields fall back to the
+ * bundled figures for the device type (see DEVICE_EMBODIED_CARBON). Stays
+ * on this device (chrome.storage.local), since it describes its hardware.
+ */
+
+export const DEVICE_PROFILE_KEY = 'deviceProfile';
+
+const DEFAULT_PROFILE = {
+  embodiedEnabled: false,
+  purchaseYear: null,
+  lifetimeYears: null,
+  embodiedKg: null
+};
+
+/**
+ * Keep a positive number, or null to use the bundled figure
+ * @param {*} value
+ * @returns {number|null}
+ */
+const positiveOrNull = (value) => (Number.isFinite(value) && value > 0 ? value : null);
+
+/**
+ * Get the device profile
+ * @returns {Promise<Object>} { embodiedEnabled, purchaseYear, lifetimeYears, embodiedKg }
+ */
+export const getDeviceProfile = async () => {
+  try {
+    const result = await chrome.storage.local.get(DEVICE_PROFILE_KEY);
+    const profile = { ...DEFAULT_PROFILE, ...result[DEVICE_PROFILE_KEY] };
+    return {
+      embodiedEnabled: profile.embodiedEnabled === true,
+      purchaseYear: positiveOrNull(profile.purchaseYear),
+      lifetimeYears: positiveOrNull(profile.lifetimeYears),
+      embodiedKg: positiveOrNull(profile.embodiedKg)
+    };
+  } catch (error) {
+    return { ...DEFAULT_PROFILE };
+  }
+};
+
+/**
+ * Update the device profile
+ * @param {Object} changes - { embodiedEnabled?, purchaseYear?, lifetimeYears?, embodiedKg? }
+ * @returns {Promise<Object>} Updated profile
+ */
+export const saveDeviceProfile = async (changes) => {
+  const profile = { ...(await getDeviceProfile()), ...changes };
+  const cleaned = {
+    embodiedEnabled: profile.embodiedEnabled === true,
+    purchaseYear: positiveOrNull(profile.purchaseYear),
+    lifetimeYears: positiveOrNull(profile.lifetimeYears),
+    embodiedKg: positiveOrNull(profile.embodiedKg)
+  };
+  await chrome.storage.local.set({ [DEVICE_PROFILE_KEY]: cleaned });
+  return cleaned;
+};
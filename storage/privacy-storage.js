@@ -0,0 +1,87 @@
+/**
+ * Privacy storage operations
+ *
+ * How much of each visited URL is kept with stored events. The level syncs
+ * across devices; the salt for hashed domains stays on this device.
+ */
+
+export const PRIVACY_LEVEL_KEY = 'privacyLevel';
+const PRIVACY_SALT_KEY = 'privacySalt';
+
+// Least to most private
+export const PRIVACY_LEVELS = {
+  full: 'Full URL',
+  path: 'Path only (no query string)',
+  domain: 'Domain only',
+  hashed: 'Hashed domain'
+};
+
+export const DEFAULT_PRIVACY_LEVEL = 'path';
+
+/**
+ * Whether one level keeps less than another
+ * @param {string} level - Level to compare
+ * @param {string} than - Level to compare against
+ * @returns {boolean} True if `level` is stricter
+ */
+export const isStricterLevel = (level, than) => {
+  const order = Object.keys(PRIVACY_LEVELS);
+  return order.indexOf(level) > order.indexOf(than);
+};
+
+/**
+ * Get the URL retention level for stored events
+ * @returns {Promise<string>} Key of PRIVACY_LEVELS
+ */
+export const getPrivacyLevel = async () => {
+  try {
+    const result = await chrome.storage.sync.get(PRIVACY_LEVEL_KEY);
+    const level = result[PRIVACY_LEVEL_KEY];
+    return Object.hasOwn(PRIVACY_LEVELS, level) ? level : DEFAULT_PRIVACY_LEVEL;
+  } catch (error) {
+    return DEFAULT_PRIVACY_LEVEL;
+  }
+};
+
+/**
+ * Set the URL retention level for stored events
+ * @param {string} level - Key of PRIVACY_LEVELS
+ */
+export const setPrivacyLevel = async (level) => {
+  if (!Object.hasOwn(PRIVACY_LEVELS, level)) {
+    throw new Error(`Unknown privacy level: ${level}`);
+  }
+  await chrome.storage.sync.set({ [PRIVACY_LEVEL_KEY]: level });
+};
+
+let saltPromise = null;
+
+/**
+ * Read or create the salt (see getPrivacySalt)
+ * @returns {Promise<string>} Hex salt
+ */
+const loadPrivacySalt = async () => {
+  const result = await chrome.storage.local.get(PRIVACY_SALT_KEY);
+  if (result[PRIVACY_SALT_KEY]) return result[PRIVACY_SALT_KEY];
+
+  const bytes = crypto.getRandomValues(new Uint8Array(16));
+  const salt = [...bytes].map((byte) => byte.toString(16).padStart(2, '0')).join('');
+  await chrome.storage.local.set({ [PRIVACY_SALT_KEY]: salt });
+  return salt;
+};
+
+/**
+ * Get this device's salt for hashing domains, creating it on first use.
+ * Concurrent callers share one read-or-create, so events saved at the same
+ * moment can't each persist a different salt.
+ * @returns {Promise<string>} Hex salt
+ */
+export const getPrivacySalt = () => {
+  if (!saltPromise) {
+    saltPromise = loadPrivacySalt().catch((error) => {
+      saltPromise = null;
+      throw error;
+    });
+  }
+  return saltPromise;
+};
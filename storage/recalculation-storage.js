@@ -0,0 +1,30 @@
+/**
+ * Recalculation job storage operations
+ *
+ * Progress of the historical recalculation job, written by the service
+ * worker after every day it finishes and read by the dashboard. Stays on
+ * this device (chrome.storage.local) like the events it rewrites.
+ */
+
+export const RECALCULATION_JOB_KEY = 'recalculationJob';
+
+/**
+ * Get the current or last recalculation job
+ * @returns {Promise<Object|null>} { startDate, endDate, nextDate, status, daysDone, totalDays, eventsDone, startedAt, finishedAt, error }
+ */
+export const getRecalculationJob = async () => {
+  try {
+    const result = await chrome.storage.local.get(RECALCULATION_JOB_KEY);
+    return result[RECALCULATION_JOB_KEY] || null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Save recalculation job progress
+ * @param {Object} job - Recalculation job
+ */
+export const saveRecalculationJob = async (job) => {
+  await chrome.storage.local.set({ [RECALCULATION_JOB_KEY]: { ...job, updatedAt: Date.now() } });
+};
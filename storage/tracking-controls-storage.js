@@ -0,0 +1,154 @@
+/**
+ * Tracking controls storage operations
+ *
+ * Site exclusions and the incognito option sync across devices; pausing is
+ * per device. tracking/tracker-base.js reads the same keys.
+ */
+
+export const EXCLUDED_DOMAINS_KEY = 'excludedDomains';
+export const SKIP_INCOGNITO_KEY = 'skipIncognito';
+export const PAUSED_UNTIL_KEY = 'trackingPausedUntil';
+export const PAUSE_HISTORY_KEY = 'trackingPauseHistory';
+
+const MAX_PAUSE_HISTORY = 100;
+
+/**
+ * Normalize a user-entered site ("https://www.Example.com/page" → "example.com")
+ * @param {string} value - Domain or URL
+ * @returns {string|null} Domain or null if empty/invalid
+ */
+export const normalizeDomain = (value) => {
+  const text = (value || '').trim().toLowerCase();
+  if (!text) return null;
+
+  try {
+    const url = new URL(/^[a-z]+:\/\//.test(text) ? text : `https://${text}`);
+    const hostname = url.hostname.replace(/^www\./, '');
+    return /^[a-z0-9-]+(\.[a-z0-9-]+)+$/.test(hostname) ? hostname : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Whether a host is one of the excluded sites or a subdomain of one
+ * @param {string} hostname - Host to check
+ * @param {Array<string>} domains - Excluded domains
+ * @returns {boolean}
+ */
+export const isExcludedHost = (hostname, domains) => {
+  const host = (hostname || '').toLowerCase().replace(/^www\./, '');
+  return domains.some((domain) => host === domain || host.endsWith(`.${domain}`));
+};
+
+/**
+ * Get sites that are never tracked
+ * @returns {Promise<Array<string>>} Domains (subdomains are excluded too)
+ */
+export const getExcludedDomains = async () => {
+  try {
+    const result = await chrome.storage.sync.get(EXCLUDED_DOMAINS_KEY);
+    return Array.isArray(result[EXCLUDED_DOMAINS_KEY]) ? result[EXCLUDED_DOMAINS_KEY] : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Save sites that are never tracked
+ * @param {Array<string>} domains - Domains or URLs
+ * @returns {Promise<Array<string>>} The normalized, de-duplicated domains saved
+ */
+export const saveExcludedDomains = async (domains) => {
+  const cleaned = [...new Set(domains.map(normalizeDomain).filter(Boolean))];
+  await chrome.storage.sync.set({ [EXCLUDED_DOMAINS_KEY]: cleaned });
+  return cleaned;
+};
+
+/**
+ * Whether incognito windows are skipped (default: yes)
+ * @returns {Promise<boolean>}
+ */
+export const getSkipIncognito = async () => {
+  try {
+    const result = await chrome.storage.sync.get(SKIP_INCOGNITO_KEY);
+    return result[SKIP_INCOGNITO_KEY] !== false;
+  } catch (error) {
+    return true;
+  }
+};
+
+/**
+ * Set whether incognito windows are skipped
+ * @param {boolean} skip
+ */
+export const setSkipIncognito = async (skip) => {
+  await chrome.storage.sync.set({ [SKIP_INCOGNITO_KEY]: Boolean(skip) });
+};
+
+/**
+ * Get when the current pause ends
+ * @returns {Promise<number|null>} Timestamp, or null if tracking isn't paused
+ */
+export const getPausedUntil = async () => {
+  try {
+    const result = await chrome.storage.local.get(PAUSED_UNTIL_KEY);
+    const pausedUntil = result[PAUSED_UNTIL_KEY];
+    return typeof pausedUntil === 'number' && pausedUntil > Date.now() ? pausedUntil : null;
+  } catch (error) {
+    return null;
+  }
+};
+
+/**
+ * Get past and current pauses
+ * @returns {Promise<Array<{start: number, end: number}>>} Oldest first
+ */
+export const getPauseHistory = async () => {
+  try {
+    const result = await chrome.storage.local.get(PAUSE_HISTORY_KEY);
+    return Array.isArray(result[PAUSE_HISTORY_KEY]) ? result[PAUSE_HISTORY_KEY] : [];
+  } catch (error) {
+    return [];
+  }
+};
+
+/**
+ * Pause tracking for the next number of minutes (a pause already running
+ * is rescheduled rather than recorded twice)
+ * @param {number} minutes - Pause length
+ * @returns {Promise<number>} When the pause ends
+ */
+export const pauseTracking = async (minutes) => {
+  const now = Date.now();
+  const pausedUntil = now + minutes * 60000;
+  const history = await getPauseHistory();
+  const current = history[history.length - 1];
+
+  if (current && current.end > now) {
+    current.end = pausedUntil;
+  } else {
+    history.push({ start: now, end: pausedUntil });
+  }
+
+  await chrome.storage.local.set({
+    [PAUSED_UNTIL_KEY]: pausedUntil,
+    [PAUSE_HISTORY_KEY]: history.slice(-MAX_PAUSE_HISTORY)
+  });
+  return pausedUntil;
+};
+
+/**
+ * Resume tracking before the pause runs out
+ */
+export const resumeTracking = async () => {
+  const now = Date.now();
+  const history = await getPauseHistory();
+  const current = history[history.length - 1];
+  if (current && current.end > now) current.end = now;
+
+  await chrome.storage.local.set({
+    [PAUSED_UNTIL_KEY]: null,
+    [PAUSE_HISTORY_KEY]: history
+  });
+};
@@ -1,7 +1,8 @@
 /**
  * Tracking storage - IndexedDB for carbon events and summaries
  */
-import { DB_NAME, STORE_NAMES } from "../config/energy-constants.js";
+import { DB_NAME, DB_VERSION, STORE_NAMES } from "../config/energy-constants.js";
+import { DEFAULT_SUBCATEGORY, getParentCategory } from "../config/categories.js";
 
 export class TrackingStorage {
   constructor() {
@@ -18,7 +19,7 @@ export class TrackingStorage {
     }
 
     this.dbPromise = new Promise((resolve, reject) => {
-      const request = indexedDB.open(DB_NAME, 1);
+      const request = indexedDB.open(DB_NAME, DB_VERSION);
 
       request.onupgradeneeded = (event) => {
         const db = event.target.result;
@@ -33,6 +34,16 @@ export class TrackingStorage {
           eventsStore.createIndex("platform", "platform", { unique: false });
         }
 
+        // v2: idempotency keys for replayed tracker events
+        const eventsStore = event.target.transaction.objectStore(
+          STORE_NAMES.events,
+        );
+        if (!eventsStore.indexNames.contains("idempotencyKey")) {
+          eventsStore.createIndex("idempotencyKey", "idempotencyKey", {
+            unique: true,
+          });
+        }
+
         if (!db.objectStoreNames.contains(STORE_NAMES.dailySummary)) {
           db.createObjectStore(STORE_NAMES.dailySummary, { keyPath: "date" });
         }
@@ -58,13 +69,74 @@ export class TrackingStorage {
       const tx = db.transaction(STORE_NAMES.events, "readwrite");
       const store = tx.objectStore(STORE_NAMES.events);
 
-      store.add(event);
+      const request = store.add(event);
+      request.onsuccess = () => {
+        event.id = request.result;
+      };
 
       tx.oncomplete = () => resolve(event);
       tx.onerror = () => reject(tx.error || new Error("Failed to save event"));
     });
   }
 
+  /**
+   * Get a single event by id.
+   * @param {number} id
+   * @returns {Promise<Object|null>}
+   */
+  async getEvent(id) {
+    const db = await this.initDB();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAMES.events, "readonly");
+      const store = tx.objectStore(STORE_NAMES.events);
+      const request = store.get(id);
+
+      request.onsuccess = () => resolve(request.result || null);
+      request.onerror = () =>
+        reject(request.error || new Error("Failed to read event"));
+    });
+  }
+
+  /**
+   * Replace an existing event record.
+   * @param {Object} event - Event with its id
+   * @returns {Promise<Object>}
+   */
+  async updateEvent(event) {
+    const db = await this.initDB();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAMES.events, "readwrite");
+      const store = tx.objectStore(STORE_NAMES.events);
+
+      store.put(event);
+
+      tx.oncomplete = () => resolve(event);
+      tx.onerror = () =>
+        reject(tx.error || new Error("Failed to update event"));
+    });
+  }
+
+  /**
+   * Check whether an event with this idempotency key was already saved.
+   * @param {string} idempotencyKey
+   * @returns {Promise<boolean>}
+   */
+  async hasEventWithKey(idempotencyKey) {
+    const db = await this.initDB();
+
+    return new Promise((resolve, reject) => {
+      const tx = db.transaction(STORE_NAMES.events, "readonly");
+      const store = tx.objectStore(STORE_NAMES.events);
+      const request = store.index("idempotencyKey").count(idempotencyKey);
+
+      request.onsuccess = () => resolve(request.result > 0);
+      request.onerror = () =>
+        reject(request.error || new Error("Failed to look up event"));
+    });
+  }
+
   /**
    * Get all events for today.
    * @returns {Promise<Array>}
@@ -140,7 +212,7 @@ export class TrackingStorage {
 
   /**
    * Get total impact across all events.
-   * @returns {Promise<{totalCarbon: number, byCategory: {media: number, shopping: number, browsing: number}, byPlatform: Object}>}
+   * @returns {Promise<{totalCarbon: number, byCategory: {media: number, shopping: number, browsing: number}, bySubcategory: Object, byPlatform: Object}>}
    */
   async getTotalImpact() {
     const db = await this.initDB();
@@ -158,9 +230,8 @@ export class TrackingStorage {
             media: 0,
             shopping: 0,
             browsing: 0,
-            video: 0,
-            social: 0,
           },
+          bySubcategory: {},
           byPlatform: {},
         };
 
@@ -168,20 +239,10 @@ export class TrackingStorage {
           const grams = event.carbonGrams || 0;
           totals.totalCarbon += grams;
 
-          const type = event.type || "browsing";
-          if (type === "media" || type === "video" || type === "social") {
-            totals.byCategory.media += grams;
-            if (type === "video") {
-              totals.byCategory.video += grams;
-            }
-            if (type === "social") {
-              totals.byCategory.social += grams;
-            }
-          } else if (type === "shopping") {
-            totals.byCategory.shopping += grams;
-          } else {
-            totals.byCategory.browsing += grams;
-          }
+          const type = event.type || DEFAULT_SUBCATEGORY;
+          totals.byCategory[getParentCategory(type)] += grams;
+          totals.bySubcategory[type] =
+            (totals.bySubcategory[type] || 0) + grams;
 
           if (!totals.byPlatform[event.platform]) {
             totals.byPlatform[event.platform] = 0;
@@ -0,0 +1,168 @@
+// Page-world instrumentation for traffic the Performance API can't see
+// Runs in the page's MAIN world so it can observe the page's own
+// RTCPeerConnections and WebSockets, and reports cumulative totals to
+// universal-tracker.js over a MessageChannel the tracker hands over.
+// Reports never go through window.postMessage, where any script in the
+// page could read or forge them.
+(function () {
+  "use strict";
+
+  const MESSAGE_SOURCE = "curbyourcarbon-page";
+  const REPORT_INTERVAL = 5000; // 5 seconds
+
+  if (window.__curbYourCarbonInstrumented) {
+    return;
+  }
+  window.__curbYourCarbonInstrumented = true;
+
+  const NativePeerConnection = window.RTCPeerConnection;
+  const NativeWebSocket = window.WebSocket;
+  const connections = new Set();
+  const connectionTotals = new WeakMap();
+
+  // Bytes from peer connections that have since closed
+  const closedTotals = { rtcBytesSent: 0, rtcBytesReceived: 0 };
+
+  // WebSocket frames are counted as they happen, so these are already totals
+  const socketTotals = { wsBytesSent: 0, wsBytesReceived: 0 };
+  const opened = { rtcConnections: 0, wsConnections: 0 };
+
+  let lastReported = JSON.stringify({
+    ...closedTotals,
+    ...socketTotals,
+    ...opened,
+  });
+
+  // Port to the tracker, set by the first CONNECT message
+  let trackerPort = null;
+
+  /**
+   * Approximate the payload size of a WebSocket message.
+   * Strings are counted by length, which is exact for ASCII/JSON traffic.
+   * Sizes are read from properties rather than instanceof checks, which
+   * miss Blobs, Files and buffers created in another frame.
+   */
+  const getMessageBytes = (data) => {
+    if (typeof data === "string") return data.length;
+    if (typeof data?.size === "number") return data.size; // Blob, File
+    if (typeof data?.byteLength === "number") return data.byteLength;
+    return 0;
+  };
+
+  if (typeof NativePeerConnection === "function") {
+    window.RTCPeerConnection = class extends NativePeerConnection {
+      constructor(...args) {
+        super(...args);
+        connections.add(this);
+        opened.rtcConnections++;
+      }
+    };
+  }
+
+  if (typeof NativeWebSocket === "function") {
+    window.WebSocket = class extends NativeWebSocket {
+      constructor(...args) {
+        super(...args);
+        opened.wsConnections++;
+        this.addEventListener("message", (event) => {
+          socketTotals.wsBytesReceived += getMessageBytes(event.data);
+        });
+      }
+
+      send(data) {
+        // Counted after the native call, which throws while the socket is
+        // still connecting or already closed
+        const result = super.send(data);
+        socketTotals.wsBytesSent += getMessageBytes(data);
+        return result;
+      }
+    };
+  }
+
+  /**
+   * Read cumulative bytes sent/received from a connection's stats.
+   * Transport stats cover media and data channels; outbound-rtp is the
+   * fallback for browsers that don't report transports.
+   */
+  const readConnectionTotals = async (connection) => {
+    const stats = await connection.getStats();
+    const transport = { sent: 0, received: 0 };
+    const rtp = { sent: 0, received: 0 };
+
+    stats.forEach((report) => {
+      if (report.type === "transport") {
+        transport.sent += report.bytesSent || 0;
+        transport.received += report.bytesReceived || 0;
+      } else if (report.type === "outbound-rtp") {
+        rtp.sent += report.bytesSent || 0;
+      } else if (report.type === "inbound-rtp") {
+        rtp.received += report.bytesReceived || 0;
+      }
+    });
+
+    return {
+      rtcBytesSent: transport.sent || rtp.sent,
+      rtcBytesReceived: transport.received || rtp.received,
+    };
+  };
+
+  const report = async () => {
+    for (const connection of connections) {
+      if (connection.connectionState === "closed") {
+        const last = connectionTotals.get(connection);
+        if (last) {
+          closedTotals.rtcBytesSent += last.rtcBytesSent;
+          closedTotals.rtcBytesReceived += last.rtcBytesReceived;
+        }
+        connections.delete(connection);
+        continue;
+      }
+
+      try {
+        connectionTotals.set(connection, await readConnectionTotals(connection));
+      } catch {
+        // Stats unavailable mid-negotiation; keep the previous reading
+      }
+    }
+
+    const totals = { ...closedTotals, ...socketTotals, ...opened };
+    connections.forEach((connection) => {
+      const current = connectionTotals.get(connection);
+      if (current) {
+        totals.rtcBytesSent += current.rtcBytesSent;
+        totals.rtcBytesReceived += current.rtcBytesReceived;
+      }
+    });
+
+    const serialized = JSON.stringify(totals);
+    if (!trackerPort || serialized === lastReported) return;
+    lastReported = serialized;
+
+    trackerPort.postMessage({ type: "TRAFFIC", totals });
+  };
+
+  // This script runs at document_start, so its listener sees the tracker's
+  // CONNECT before any listener of the page's and hides it from them. A
+  // page that connects first only keeps its own totals from the tracker.
+  window.addEventListener(
+    "message",
+    (event) => {
+      const { source, type } = event.data || {};
+      if (
+        trackerPort ||
+        event.source !== window ||
+        source !== MESSAGE_SOURCE ||
+        type !== "CONNECT" ||
+        !event.ports?.[0]
+      ) {
+        return;
+      }
+      event.stopImmediatePropagation();
+      trackerPort = event.ports[0];
+      report();
+    },
+    true,
+  );
+
+  setInterval(report, REPORT_INTERVAL);
+})();
@@ -2,6 +2,17 @@
  * Shared helpers for content script trackers.
  */
 let activeTracker = null;
+let backgroundMediaTracker = null;
+let videoPlaybackTracker = null;
+let cpuActivityTracker = null;
+
+const OUTBOX_MAX_ENTRIES = 50;
+const OUTBOX_MAX_AGE_MS = 7 * 24 * 60 * 60 * 1000; // 7 days
+let outboxKeyPromise = null;
+let outboxKey = null;
+let memoryOutbox = [];
+let outboxUpdates = Promise.resolve();
+let outboxFlushInFlight = null;
 
 /**
  * Send an event payload to the background service worker.
@@ -43,44 +54,383 @@ const sendEventToBackground = (eventData) => {
   });
 };
 
+/**
+ * Create a unique key so the background can drop replayed events.
+ * @returns {string}
+ */
+const createIdempotencyKey = () => {
+  if (typeof crypto?.randomUUID === "function") {
+    return crypto.randomUUID();
+  }
+  return `${Date.now()}-${Math.random().toString(36).slice(2, 12)}`;
+};
+
+/**
+ * Find this tab's outbox in chrome.storage.local. Content scripts don't know
+ * their tab id, so the background answers with a key built from sender.tab.
+ *
+ * Extension storage is used rather than the page's sessionStorage because
+ * that is scoped to the origin (queued events would be lost on a
+ * cross-origin navigation) and readable and writable by the site's own
+ * scripts. The key is looked up once, when the tracker starts replaying
+ * its outbox, and cached: during page teardown the round trip often never
+ * finishes. A failed lookup is retried on the next call, and entries held
+ * in memory meanwhile are moved to storage once the key arrives.
+ * @returns {Promise<string|null>} Storage key, or null if the background
+ *   can't be reached
+ */
+const getOutboxKey = () => {
+  if (outboxKeyPromise) {
+    return outboxKeyPromise;
+  }
+
+  outboxKeyPromise = new Promise((resolve) => {
+    if (!chrome.runtime?.id) {
+      resolve(null);
+      return;
+    }
+    chrome.runtime.sendMessage({ type: "GET_OUTBOX_KEY" }, (response) => {
+      if (chrome.runtime.lastError || !response?.key) {
+        resolve(null);
+        return;
+      }
+      resolve(response.key);
+    });
+  }).then((key) => {
+    if (!key) {
+      outboxKeyPromise = null;
+      return null;
+    }
+    outboxKey = key;
+    if (memoryOutbox.length > 0) updateOutbox((entries) => entries);
+    return key;
+  });
+
+  return outboxKeyPromise;
+};
+
+/**
+ * Drop malformed and expired entries.
+ * @param {Array} entries
+ * @returns {Array<{payload: Object, queuedAt: number, attempts: number}>}
+ */
+const pruneOutbox = (entries) => {
+  if (!Array.isArray(entries)) return [];
+  const cutoff = Date.now() - OUTBOX_MAX_AGE_MS;
+  return entries.filter(
+    (entry) => entry?.payload?.idempotencyKey && entry.queuedAt >= cutoff,
+  );
+};
+
+/**
+ * Read unsent events for this tab.
+ *
+ * Until the background has told us the tab's key, entries are held in
+ * memory and moved to storage once it has.
+ * @returns {Promise<Array<{payload: Object, queuedAt: number, attempts: number}>>}
+ */
+const readOutbox = async () => {
+  const key = outboxKey;
+  if (!key) {
+    getOutboxKey();
+    return pruneOutbox(memoryOutbox);
+  }
+
+  try {
+    const result = await chrome.storage.local.get(key);
+    const stored = pruneOutbox(result?.[key]);
+    const storedKeys = new Set(
+      stored.map((entry) => entry.payload.idempotencyKey),
+    );
+    return [
+      ...stored,
+      ...pruneOutbox(memoryOutbox).filter(
+        (entry) => !storedKeys.has(entry.payload.idempotencyKey),
+      ),
+    ];
+  } catch {
+    return pruneOutbox(memoryOutbox);
+  }
+};
+
+/**
+ * Persist unsent events for this tab (oldest entries dropped beyond the cap).
+ * @param {Array} entries
+ */
+const writeOutbox = async (entries) => {
+  const capped = entries.slice(-OUTBOX_MAX_ENTRIES);
+  const key = outboxKey;
+  if (!key) {
+    memoryOutbox = capped;
+    return;
+  }
+
+  try {
+    if (capped.length === 0) {
+      await chrome.storage.local.remove(key);
+    } else {
+      await chrome.storage.local.set({ [key]: capped });
+    }
+    memoryOutbox = [];
+  } catch (error) {
+    memoryOutbox = capped;
+    console.warn("CurbYourCarbon: Could not persist outbox", error);
+  }
+};
+
+/**
+ * Read, change and write the outbox, one update at a time so concurrent
+ * sends and replays don't overwrite each other.
+ * @param {(entries: Array) => Array} update
+ * @returns {Promise<Array>} The entries written
+ */
+const updateOutbox = (update) => {
+  const run = outboxUpdates.then(async () => {
+    const entries = update(await readOutbox());
+    await writeOutbox(entries);
+    return entries;
+  });
+  outboxUpdates = run.catch(() => {});
+  return run;
+};
+
+/**
+ * Remove an event from the outbox once the background has accepted it.
+ * @param {string} idempotencyKey
+ */
+const removeFromOutbox = (idempotencyKey) =>
+  updateOutbox((entries) =>
+    entries.filter((entry) => entry.payload.idempotencyKey !== idempotencyKey),
+  );
+
+/**
+ * Queue an event in the outbox, then try to deliver it.
+ *
+ * The write to extension storage is started before sending so a summary
+ * sent during pagehide/beforeunload survives even if the page is torn down
+ * mid-send. Events a tracker produces after its extension was reloaded
+ * can't be queued, since the old content script has lost chrome.storage.
+ * @param {Object} eventData
+ * @returns {Promise<Object>} Background response; `queued` is true when the
+ *   event stays in the outbox for a later replay
+ */
+const sendQueuedEvent = async (eventData) => {
+  const payload = {
+    ...eventData,
+    idempotencyKey: eventData.idempotencyKey || createIdempotencyKey(),
+  };
+
+  const queued = updateOutbox((entries) => [
+    ...entries,
+    { payload, queuedAt: Date.now(), attempts: 0 },
+  ]);
+
+  const result = await sendEventToBackground(payload);
+  await queued;
+  if (result.ok || !result.shouldRetry) {
+    await removeFromOutbox(payload.idempotencyKey);
+    return result;
+  }
+
+  return { ...result, queued: true };
+};
+
+/**
+ * Replay queued events once the service worker responds again.
+ * Stops at the first retryable failure so ordering is preserved.
+ * @returns {Promise<{sent: number, remaining: number}>}
+ */
+const flushOutbox = () => {
+  if (outboxFlushInFlight) {
+    return outboxFlushInFlight;
+  }
+
+  outboxFlushInFlight = (async () => {
+    let sent = 0;
+    try {
+      await getOutboxKey();
+      for (const entry of await readOutbox()) {
+        // Marked so the background doesn't hand it the page's live traffic
+        const result = await sendEventToBackground({
+          ...entry.payload,
+          replayed: true,
+        });
+
+        if (!result.ok && result.shouldRetry) {
+          await updateOutbox((entries) =>
+            entries.map((queued) =>
+              queued.payload.idempotencyKey === entry.payload.idempotencyKey
+                ? { ...queued, attempts: queued.attempts + 1 }
+                : queued,
+            ),
+          );
+          break;
+        }
+
+        if (!result.ok) {
+          console.error(
+            "CurbYourCarbon: Dropping queued event:",
+            result.error,
+          );
+        } else {
+          sent++;
+        }
+        await removeFromOutbox(entry.payload.idempotencyKey);
+      }
+    } finally {
+      outboxFlushInFlight = null;
+    }
+
+    if (sent > 0) {
+      console.log("CurbYourCarbon: Replayed", sent, "queued event(s)");
+    }
+    return { sent, remaining: (await readOutbox()).length };
+  })();
+
+  return outboxFlushInFlight;
+};
+
 /**
  * Track active time while the tab is visible/focused.
- * @returns {{getActiveMinutes: () => number, reset: () => void}}
+ *
+ * Besides the running total, the wall-clock intervals are kept so the
+ * background can reconcile device energy across concurrently active tabs.
+ *
+ * The clock also pauses once the user is idle: no input on the page for the
+ * configured threshold, or chrome.idle reporting the system idle/locked
+ * (mirrored by the service worker into chrome.storage.local). Pages playing
+ * video are exempt, since watching doesn't produce input.
+ * @returns {{getActiveMinutes: () => number, getActiveIntervals: () => Array<[number, number]>, getIdleMinutes: () => number, reset: () => void}}
  */
 const getActiveTime = () => {
   if (activeTracker) {
     return activeTracker;
   }
 
-  let visibleSince = document.visibilityState === "visible" ? Date.now() : null;
+  const MAX_INTERVALS = 100;
+  const IDLE_CHECK_INTERVAL = 5000; // ms
+  const DEFAULT_IDLE_THRESHOLD_MINUTES = 5;
+
+  let foreground = document.visibilityState === "visible";
+  let idle = false;
+  let visibleSince = foreground ? Date.now() : null;
+  let idleSince = null;
   let totalMs = 0;
+  let idleMs = 0;
+  let intervals = [];
 
-  const updateVisibility = () => {
-    if (document.visibilityState === "visible") {
-      if (visibleSince === null) {
-        visibleSince = Date.now();
+  let lastInputAt = Date.now();
+  let systemIdle = false;
+  let idleThresholdMs = DEFAULT_IDLE_THRESHOLD_MINUTES * 60000;
+
+  const closeInterval = () => {
+    const now = Date.now();
+    totalMs += now - visibleSince;
+    intervals.push([visibleSince, now]);
+    if (intervals.length > MAX_INTERVALS) {
+      // Merge the two intervals with the shortest gap between them, keeping
+      // their summed duration so the gap isn't billed as active time
+      let closest = 0;
+      for (let i = 1; i < intervals.length - 1; i++) {
+        const gap = intervals[i + 1][0] - intervals[i][1];
+        if (gap < intervals[closest + 1][0] - intervals[closest][1]) {
+          closest = i;
+        }
       }
-    } else if (visibleSince !== null) {
-      totalMs += Date.now() - visibleSince;
-      visibleSince = null;
+      const [first, second] = intervals.splice(closest, 2);
+      const duration = first[1] - first[0] + (second[1] - second[0]);
+      intervals.splice(closest, 0, [first[0], first[0] + duration]);
     }
+    visibleSince = null;
   };
 
-  const updateFocus = () => {
-    if (document.hasFocus()) {
-      if (visibleSince === null && document.visibilityState === "visible") {
-        visibleSince = Date.now();
-      }
-    } else if (visibleSince !== null) {
-      totalMs += Date.now() - visibleSince;
-      visibleSince = null;
+  // Start/stop the active and idle clocks to match the current state
+  const sync = () => {
+    const counting = foreground && !idle;
+    const excluding = foreground && idle;
+
+    if (counting && visibleSince === null) {
+      visibleSince = Date.now();
+    } else if (!counting && visibleSince !== null) {
+      closeInterval();
     }
+
+    if (excluding && idleSince === null) {
+      idleSince = Date.now();
+    } else if (!excluding && idleSince !== null) {
+      idleMs += Date.now() - idleSince;
+      idleSince = null;
+    }
+  };
+
+  const isPlayingVideo = () =>
+    [...document.querySelectorAll("video")].some(
+      (video) => !video.paused && !video.ended && video.readyState >= 2,
+    );
+
+  const checkIdle = () => {
+    idle =
+      !isPlayingVideo() &&
+      (systemIdle || Date.now() - lastInputAt >= idleThresholdMs);
+    sync();
+  };
+
+  const markInput = () => {
+    lastInputAt = Date.now();
+    if (idle) checkIdle();
+  };
+
+  const updateVisibility = () => {
+    foreground = document.visibilityState === "visible";
+    if (foreground) lastInputAt = Date.now();
+    sync();
+  };
+
+  const updateFocus = () => {
+    foreground =
+      document.hasFocus() && document.visibilityState === "visible";
+    if (foreground) lastInputAt = Date.now();
+    sync();
   };
 
   document.addEventListener("visibilitychange", updateVisibility);
   window.addEventListener("focus", updateFocus);
   window.addEventListener("blur", updateFocus);
 
+  ["pointerdown", "pointermove", "keydown", "wheel", "scroll", "touchstart"]
+    .forEach((type) =>
+      window.addEventListener(type, markInput, { capture: true, passive: true }),
+    );
+  setInterval(checkIdle, IDLE_CHECK_INTERVAL);
+
+  // Threshold lives in sync settings; system idle state is written by the
+  // service worker, since chrome.idle isn't available to content scripts
+  try {
+    chrome.storage.sync.get(["idleThresholdMinutes"], (result) => {
+      if (result?.idleThresholdMinutes > 0) {
+        idleThresholdMs = result.idleThresholdMinutes * 60000;
+      }
+    });
+    chrome.storage.local.get(["userIdleState"], (result) => {
+      systemIdle = (result?.userIdleState?.state || "active") !== "active";
+      checkIdle();
+    });
+    chrome.storage.onChanged.addListener((changes, areaName) => {
+      if (areaName === "sync" && changes.idleThresholdMinutes?.newValue > 0) {
+        idleThresholdMs = changes.idleThresholdMinutes.newValue * 60000;
+        checkIdle();
+      }
+      if (areaName === "local" && changes.userIdleState) {
+        const state = changes.userIdleState.newValue?.state || "active";
+        systemIdle = state !== "active";
+        if (!systemIdle) lastInputAt = Date.now();
+        checkIdle();
+      }
+    });
+  } catch (error) {
+    console.warn("CurbYourCarbon: Idle settings unavailable", error);
+  }
+
   activeTracker = {
     getActiveMinutes: () => {
       let total = totalMs;
@@ -89,15 +439,428 @@ const getActiveTime = () => {
       }
       return +(total / 60000).toFixed(2);
     },
+    getActiveIntervals: () => {
+      if (visibleSince === null) {
+        return intervals.map(([start, end]) => [start, end]);
+      }
+      return [
+        ...intervals.map(([start, end]) => [start, end]),
+        [visibleSince, Date.now()],
+      ];
+    },
+    getIdleMinutes: () => {
+      let total = idleMs;
+      if (idleSince !== null) {
+        total += Date.now() - idleSince;
+      }
+      return +(total / 60000).toFixed(2);
+    },
     reset: () => {
       totalMs = 0;
-      visibleSince = document.visibilityState === "visible" ? Date.now() : null;
+      idleMs = 0;
+      intervals = [];
+      visibleSince = visibleSince !== null ? Date.now() : null;
+      idleSince = idleSince !== null ? Date.now() : null;
     },
   };
 
   return activeTracker;
 };
 
+/**
+ * Track audible media that keeps playing while the tab is hidden or unfocused.
+ *
+ * Foreground playback is already covered by getActiveTime(); this only
+ * counts the time a music stream or video plays in the background.
+ * @returns {{getMinutes: () => {audio: number, video: number}, reset: () => void}}
+ */
+const getBackgroundMediaTime = () => {
+  if (backgroundMediaTracker) {
+    return backgroundMediaTracker;
+  }
+
+  let playingSince = null;
+  let playingKind = null;
+  const totalMs = { audio: 0, video: 0 };
+
+  const getPlayingKind = () => {
+    const playing = [...document.querySelectorAll("audio, video")].filter(
+      (el) =>
+        !el.paused &&
+        !el.ended &&
+        !el.muted &&
+        el.volume > 0 &&
+        el.readyState >= 2,
+    );
+    if (playing.length === 0) return null;
+    return playing.some((el) => el.tagName === "VIDEO" && el.videoWidth > 0)
+      ? "video"
+      : "audio";
+  };
+
+  const isForeground = () =>
+    document.visibilityState === "visible" && document.hasFocus();
+
+  const update = () => {
+    const kind = isForeground() ? null : getPlayingKind();
+    if (kind === playingKind) return;
+
+    if (playingSince !== null) {
+      totalMs[playingKind] += Date.now() - playingSince;
+    }
+    playingKind = kind;
+    playingSince = kind ? Date.now() : null;
+  };
+
+  // Media events don't bubble, so listen in the capture phase
+  ["play", "playing", "pause", "ended", "emptied", "volumechange"].forEach(
+    (type) => document.addEventListener(type, update, true),
+  );
+  document.addEventListener("visibilitychange", update);
+  window.addEventListener("focus", update);
+  window.addEventListener("blur", update);
+  update();
+
+  backgroundMediaTracker = {
+    getMinutes: () => {
+      const current = { ...totalMs };
+      if (playingSince !== null) {
+        current[playingKind] += Date.now() - playingSince;
+      }
+      return {
+        audio: +(current.audio / 60000).toFixed(2),
+        video: +(current.video / 60000).toFixed(2),
+      };
+    },
+    reset: () => {
+      totalMs.audio = 0;
+      totalMs.video = 0;
+      playingSince = playingKind ? Date.now() : null;
+    },
+  };
+
+  return backgroundMediaTracker;
+};
+
+/**
+ * Resolution tiers, matching VIDEO_QUALITY_TIERS in config/energy-constants.js
+ */
+const VIDEO_TIER_MAX_HEIGHTS = [
+  ["480p", 480],
+  ["720p", 720],
+  ["1080p", 1080],
+  ["4k", Infinity],
+];
+
+/**
+ * Map a video to its quality tier by its short side, so a 1080×1920
+ * portrait video is 1080p rather than 4k.
+ * @param {HTMLVideoElement} video
+ * @returns {string}
+ */
+const getVideoTier = (video) => {
+  const shortSide = Math.min(
+    video.videoWidth || video.videoHeight,
+    video.videoHeight,
+  );
+  return VIDEO_TIER_MAX_HEIGHTS.find(
+    ([, maxHeight]) => shortSide <= maxHeight,
+  )[0];
+};
+
+/**
+ * Pick the highest of several tiers.
+ * @param {Array<string|null>} tiers
+ * @returns {string|null}
+ */
+const getHighestTier = (tiers) => {
+  const ranks = tiers
+    .map((tier) => VIDEO_TIER_MAX_HEIGHTS.findIndex(([name]) => name === tier))
+    .filter((rank) => rank >= 0);
+  return ranks.length > 0
+    ? VIDEO_TIER_MAX_HEIGHTS[Math.max(...ranks)][0]
+    : null;
+};
+
+/**
+ * Sample playing <video> elements for resolution and playback quality.
+ *
+ * Watching time is counted once per sample, at the highest tier playing in
+ * this frame or reported by a tracker in an iframe (embedded players), so
+ * concurrent players don't add up to more than wall-clock time.
+ * @returns {{getCurrentTier: () => string|null, setFrameTier: (frameId: string, tier: string|null) => void, getSummary: () => Object, reset: () => void}}
+ */
+const getVideoPlayback = () => {
+  if (videoPlaybackTracker) {
+    return videoPlaybackTracker;
+  }
+
+  const SAMPLE_INTERVAL = 2000; // ms
+  const FRAME_TIER_TTL = 12000; // ms, a little over two frame reports
+
+  let msByTier = {};
+  let droppedFrames = 0;
+  let totalFrames = 0;
+  let lastSampleAt = Date.now();
+  const lastFrameCounts = new WeakMap();
+  const frameTiers = new Map();
+
+  const getPlayingVideos = () =>
+    [...document.querySelectorAll("video")].filter(
+      (video) =>
+        !video.paused &&
+        !video.ended &&
+        video.readyState >= 2 &&
+        video.videoHeight > 0,
+    );
+
+  const getFrameTiers = () => {
+    const cutoff = Date.now() - FRAME_TIER_TTL;
+    const tiers = [];
+    frameTiers.forEach(({ tier, reportedAt }, frameId) => {
+      if (reportedAt < cutoff) {
+        frameTiers.delete(frameId);
+      } else {
+        tiers.push(tier);
+      }
+    });
+    return tiers;
+  };
+
+  const sample = () => {
+    const now = Date.now();
+    const elapsed = now - lastSampleAt;
+    lastSampleAt = now;
+
+    const videos = getPlayingVideos();
+    const tier = getHighestTier([
+      ...videos.map(getVideoTier),
+      ...getFrameTiers(),
+    ]);
+    if (tier) {
+      msByTier[tier] = (msByTier[tier] || 0) + elapsed;
+    }
+
+    videos.forEach((video) => {
+      if (typeof video.getVideoPlaybackQuality !== "function") return;
+      const quality = video.getVideoPlaybackQuality();
+      let previous = lastFrameCounts.get(video) || { dropped: 0, total: 0 };
+      // Counters restart when the element loads a new source
+      if (quality.totalVideoFrames < previous.total) {
+        previous = { dropped: 0, total: 0 };
+      }
+      droppedFrames += quality.droppedVideoFrames - previous.dropped;
+      totalFrames += quality.totalVideoFrames - previous.total;
+      lastFrameCounts.set(video, {
+        dropped: quality.droppedVideoFrames,
+        total: quality.totalVideoFrames,
+      });
+    });
+  };
+
+  setInterval(sample, SAMPLE_INTERVAL);
+
+  videoPlaybackTracker = {
+    getCurrentTier: () => getHighestTier(getPlayingVideos().map(getVideoTier)),
+    setFrameTier: (frameId, tier) => {
+      if (tier) {
+        frameTiers.set(frameId, { tier, reportedAt: Date.now() });
+      } else {
+        frameTiers.delete(frameId);
+      }
+    },
+    getSummary: () => {
+      sample();
+      const minutesByTier = {};
+      Object.entries(msByTier).forEach(([tier, ms]) => {
+        minutesByTier[tier] = +(ms / 60000).toFixed(2);
+      });
+      return { minutesByTier, droppedFrames, totalFrames };
+    },
+    reset: () => {
+      msByTier = {};
+      droppedFrames = 0;
+      totalFrames = 0;
+    },
+  };
+
+  return videoPlaybackTracker;
+};
+
+/**
+ * Collect CPU load signals for the page.
+ *
+ * Long animation frames (or long tasks, where those aren't supported) give
+ * the time the page kept the main thread busy. The Compute Pressure API,
+ * where available, adds how loaded the whole CPU was while the page was in
+ * view. The background turns these into a utilisation factor.
+ * @returns {{getSummary: () => Object, reset: () => void}}
+ */
+const getCpuActivity = () => {
+  if (cpuActivityTracker) {
+    return cpuActivityTracker;
+  }
+
+  const PRESSURE_SAMPLE_INTERVAL = 2000; // ms
+
+  let longTaskMs = 0;
+  let longAnimationFrameMs = 0;
+  let pressureMs = {};
+  let pressureState = null;
+  let pressureSince = null;
+  const sources = {
+    longAnimationFrame: false,
+    longTask: false,
+    pressure: false,
+  };
+
+  const observeEntries = (type, onEntry) => {
+    if (!PerformanceObserver.supportedEntryTypes?.includes(type)) return false;
+    new PerformanceObserver((list) =>
+      list.getEntries().forEach(onEntry),
+    ).observe({
+      type,
+      buffered: true,
+    });
+    return true;
+  };
+
+  sources.longAnimationFrame = observeEntries(
+    "long-animation-frame",
+    (entry) => {
+      longAnimationFrameMs += entry.duration;
+    },
+  );
+  sources.longTask = observeEntries("longtask", (entry) => {
+    longTaskMs += entry.duration;
+  });
+
+  // Bank time spent in the current pressure state
+  const closePressure = () => {
+    if (pressureState === null) return;
+    const now = Date.now();
+    pressureMs[pressureState] =
+      (pressureMs[pressureState] || 0) + now - pressureSince;
+    pressureSince = now;
+  };
+
+  if (typeof window.PressureObserver === "function") {
+    const observer = new PressureObserver((records) => {
+      closePressure();
+      pressureState = records[records.length - 1].state;
+      pressureSince = Date.now();
+    });
+    observer
+      .observe("cpu", { sampleInterval: PRESSURE_SAMPLE_INTERVAL })
+      .then(() => {
+        sources.pressure = true;
+      })
+      .catch(() => {
+        // Blocked by permissions policy or unsupported on this platform
+      });
+
+    // Updates stop while the page is hidden, so don't stretch the last state
+    document.addEventListener("visibilitychange", () => {
+      if (document.visibilityState === "hidden") {
+        closePressure();
+        pressureState = null;
+      }
+    });
+  }
+
+  cpuActivityTracker = {
+    getSummary: () => {
+      closePressure();
+      const pressure = {};
+      Object.entries(pressureMs).forEach(([state, ms]) => {
+        pressure[state] = Math.round(ms);
+      });
+      return {
+        longTaskMs: Math.round(longTaskMs),
+        longAnimationFrameMs: Math.round(longAnimationFrameMs),
+        pressureMs: pressure,
+        sources: { ...sources },
+      };
+    },
+    reset: () => {
+      longTaskMs = 0;
+      longAnimationFrameMs = 0;
+      pressureMs = {};
+      pressureSince = pressureState === null ? null : Date.now();
+    },
+  };
+
+  return cpuActivityTracker;
+};
+
+// Keys shared with storage/tracking-controls-storage.js
+const EXCLUDED_DOMAINS_KEY = "excludedDomains";
+const SKIP_INCOGNITO_KEY = "skipIncognito";
+const PAUSED_UNTIL_KEY = "trackingPausedUntil";
+
+/**
+ * Check the user's tracking controls for a page.
+ * @param {string} hostname - Host of the top-level page
+ * @returns {Promise<{excluded: boolean, incognito: boolean, pausedUntil: number|null}>}
+ */
+const getTrackingControls = async (hostname) => {
+  const host = hostname.replace(/^www\./, "");
+
+  try {
+    const [syncSettings, localSettings] = await Promise.all([
+      chrome.storage.sync.get([EXCLUDED_DOMAINS_KEY, SKIP_INCOGNITO_KEY]),
+      chrome.storage.local.get(PAUSED_UNTIL_KEY),
+    ]);
+    const excludedDomains = syncSettings[EXCLUDED_DOMAINS_KEY] || [];
+    const pausedUntil = localSettings[PAUSED_UNTIL_KEY];
+
+    return {
+      excluded: excludedDomains.some(
+        (domain) => host === domain || host.endsWith(`.${domain}`),
+      ),
+      incognito:
+        chrome.extension?.inIncognitoContext === true &&
+        syncSettings[SKIP_INCOGNITO_KEY] !== false,
+      pausedUntil:
+        typeof pausedUntil === "number" && pausedUntil > Date.now()
+          ? pausedUntil
+          : null,
+    };
+  } catch (error) {
+    // Storage unavailable (extension reloaded); don't track blind
+    return { excluded: true, incognito: false, pausedUntil: null };
+  }
+};
+
+/**
+ * Call back whenever tracking is paused, resumed or its pause runs out.
+ * @param {Function} onChange - Receives true while paused, false otherwise
+ * @param {number|null} pausedUntil - Pause already in effect at startup
+ */
+const watchTrackingPause = (onChange, pausedUntil = null) => {
+  let resumeTimer = null;
+
+  const apply = (until) => {
+    clearTimeout(resumeTimer);
+    const remaining = typeof until === "number" ? until - Date.now() : 0;
+
+    if (remaining > 0) {
+      onChange(true);
+      resumeTimer = setTimeout(() => onChange(false), remaining);
+    } else {
+      onChange(false);
+    }
+  };
+
+  if (pausedUntil) apply(pausedUntil);
+
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === "local" && changes[PAUSED_UNTIL_KEY]) {
+      apply(changes[PAUSED_UNTIL_KEY].newValue);
+    }
+  });
+};
+
 /**
  * Debounce helper for performance-sensitive callbacks.
  * @param {Function} func
@@ -202,6 +965,13 @@ const getDeviceInfo = async () => {
 // Make functions available globally for other content scripts
 window.CurbYourCarbon = window.CurbYourCarbon || {};
 window.CurbYourCarbon.sendEventToBackground = sendEventToBackground;
+window.CurbYourCarbon.sendQueuedEvent = sendQueuedEvent;
+window.CurbYourCarbon.flushOutbox = flushOutbox;
 window.CurbYourCarbon.getActiveTime = getActiveTime;
+window.CurbYourCarbon.getBackgroundMediaTime = getBackgroundMediaTime;
+window.CurbYourCarbon.getVideoPlayback = getVideoPlayback;
+window.CurbYourCarbon.getCpuActivity = getCpuActivity;
+window.CurbYourCarbon.getTrackingControls = getTrackingControls;
+window.CurbYourCarbon.watchTrackingPause = watchTrackingPause;
 window.CurbYourCarbon.debounce = debounce;
 window.CurbYourCarbon.getDeviceInfo = getDeviceInfo;
@@ -14,13 +14,81 @@
     return;
   }
 
-  const { getActiveTime, sendEventToBackground } = window.CurbYourCarbon;
+  const {
+    getActiveTime,
+    getBackgroundMediaTime,
+    getVideoPlayback,
+    getCpuActivity,
+    sendQueuedEvent,
+    flushOutbox,
+    getTrackingControls,
+    watchTrackingPause,
+  } = window.CurbYourCarbon;
+
+  const ROUTE_POLL_INTERVAL = 1000; // ms, only without the Navigation API
+  const PAGE_MESSAGE_SOURCE = "curbyourcarbon-page"; // see page-instrument.js
+  const VIDEO_URL_PATTERNS_KEY = "videoUrlPatterns"; // see config/video-urls.js
+  const FRAME_REPORT_INTERVAL = 5000; // 5 seconds
+
+  // Entry identities remembered for deduplication. Observers deliver each
+  // entry once, so this only has to cover the overlap between the initial
+  // buffer scan and the observer; the oldest identities are evicted first.
+  const MAX_PROCESSED_ENTRIES = 1000;
+
+  // Trackers in iframes don't report events of their own: they forward
+  // their traffic to the top frame's tracker, which reports for the page
+  const isTopFrame = window.top === window;
+
+  // Byte counters a frame forwards to the top frame
+  const BYTE_COUNTERS = [
+    "totalBytes",
+    "imageBytes",
+    "videoBytes",
+    "scriptBytes",
+    "stylesheetBytes",
+    "documentBytes",
+    "otherBytes",
+    "realtimeBytes",
+    "uploadBytes",
+    "cachedBytes",
+  ];
+
+  /**
+   * Describe the current route of the page.
+   *
+   * Plain #anchors don't start a new route, but hash-router paths
+   * ("#/inbox", "#!/feed") do.
+   */
+  const createRoute = () => {
+    const { href, pathname, search, hash } = window.location;
+    const routeHash = /^#!?\//.test(hash) ? hash : "";
+    const path = pathname + routeHash;
+
+    return {
+      key: pathname + search + routeHash,
+      url: href,
+      path,
+      startedAt: Date.now(),
+    };
+  };
 
   // State management
   const state = {
-    activeTime: getActiveTime(),
+    // Created once the page passes the user's tracking controls
+    activeTime: null,
+    backgroundMedia: null,
+    videoPlayback: null,
+    cpuActivity: null,
+
+    // Paused from the popup; nothing measured meanwhile is reported
+    paused: false,
+
+    // Video streaming URL patterns, loaded before tracking starts
+    videoUrlPatterns: [],
+
     startTime: Date.now(),
     lastSendTime: Date.now(),
+    currentRoute: createRoute(),
 
     // Data transfer tracking (in bytes)
     totalBytes: 0,
@@ -31,6 +99,26 @@
     documentBytes: 0,
     otherBytes: 0,
 
+    // WebSocket and WebRTC traffic (invisible to PerformanceObserver)
+    realtimeBytes: 0,
+
+    // Uploaded bytes (WebRTC/WebSocket; request bodies are metered in the
+    // background)
+    uploadBytes: 0,
+
+    // Bytes served from the browser cache instead of the network
+    cachedBytes: 0,
+
+    // Video bytes by the resolution tier playing when they arrived
+    videoBytesByTier: {},
+
+    // Bytes forwarded by iframes from other sites (ads, players, widgets)
+    embeddedBytes: 0,
+    embeddedBytesBySite: {},
+
+    // Bytes per host, so third-party services can be attributed
+    bytesByHost: {},
+
     // Resource counts
     resourceCounts: {
       image: 0,
@@ -38,118 +126,111 @@
       script: 0,
       stylesheet: 0,
       document: 0,
+      realtime: 0,
       other: 0,
     },
 
-    // Processed resources (to avoid double-counting)
+    // Identities of processed entries (to avoid double-counting)
     processedResources: new Set(),
+
+    // Entries that added no bytes
+    skippedEntries: {
+      duplicate: 0,
+      noSize: 0,
+    },
   };
 
   /**
-   * Get the domain for categorization
+   * Get the domain the background categorizes the page by
    */
   const getDomain = () => {
     return window.location.hostname.replace(/^www\./, "");
   };
 
   /**
-   * Categorize website into simplified user-friendly categories.
-   *
-   * 3 categories:
-   * - media: Streaming & Social (YouTube, Netflix, Instagram, Reddit, etc.)
-   * - shopping: E-commerce (Amazon, eBay, etc.)
-   * - browsing: Everything else (news, docs, search, etc.)
+   * Reduce a hostname to its site ("www.news.bbc.co.uk" → "bbc.co.uk").
+   * Two-letter country suffixes with a short second level (co.uk, com.au)
+   * keep three labels.
    */
-  const categorizeWebsite = (domain) => {
-    const categories = {
-      // Streaming & Social Media
-      media: [
-        // Video streaming
-        "youtube.com",
-        "youtu.be",
-        "netflix.com",
-        "twitch.tv",
-        "vimeo.com",
-        "hulu.com",
-        "disneyplus.com",
-        "hbomax.com",
-        "primevideo.com",
-        "crunchyroll.com",
-        // Social media
-        "reddit.com",
-        "instagram.com",
-        "facebook.com",
-        "twitter.com",
-        "x.com",
-        "tiktok.com",
-        "linkedin.com",
-        "pinterest.com",
-        "snapchat.com",
-        "tumblr.com",
-      ],
-
-      // E-commerce & Shopping
-      shopping: [
-        "amazon.com",
-        "ebay.com",
-        "etsy.com",
-        "walmart.com",
-        "target.com",
-        "bestbuy.com",
-        "aliexpress.com",
-        "shopify.com",
-        "wayfair.com",
-      ],
-
-      // Everything else defaults to 'browsing'
-      // (news, docs, email, search, blogs, productivity)
-    };
+  const getSite = (hostname) => {
+    const labels = hostname.replace(/^www\./, "").split(".");
+    const keep =
+      labels.length > 2 &&
+      labels[labels.length - 1].length === 2 &&
+      labels[labels.length - 2].length <= 3
+        ? 3
+        : 2;
+    return labels.slice(-keep).join(".");
+  };
 
-    for (const [category, domains] of Object.entries(categories)) {
-      if (domains.some((d) => domain.includes(d))) {
-        return category;
+  /**
+   * Detect if a URL is likely video streaming content, using the patterns
+   * in config/video-urls.js (mirrored into storage by the service worker).
+   */
+  const isVideoStreamingUrl = (url) => {
+    const lowerUrl = url.toLowerCase();
+    return state.videoUrlPatterns.some((pattern) => lowerUrl.includes(pattern));
+  };
+
+  /**
+   * Load the shared video URL patterns before any entry is classified.
+   */
+  const loadVideoUrlPatterns = async () => {
+    try {
+      const result = await chrome.storage.local.get(VIDEO_URL_PATTERNS_KEY);
+      if (Array.isArray(result[VIDEO_URL_PATTERNS_KEY])) {
+        state.videoUrlPatterns = result[VIDEO_URL_PATTERNS_KEY];
       }
+    } catch {
+      // Only <video> element requests are recognised as video then
     }
-
-    return "browsing"; // Default: news, docs, productivity, etc.
   };
 
   /**
-   * Detect if a URL is likely video streaming content.
+   * Identify a performance entry. The same URL fetched again (polling,
+   * repeated segment URLs) is a new entry with a later startTime.
    */
-  const isVideoStreamingUrl = (url) => {
-    // Common video CDN patterns
-    const videoPatterns = [
-      "googlevideo.com", // YouTube
-      "cloudfront.net/video", // Generic video CDN
-      "twitch.tv/video", // Twitch HLS
-      ".m3u8", // HLS manifest
-      ".ts", // HLS chunks (can be ambiguous)
-      "video.twitch.tv", // Twitch video
-      "vod-", // Video on demand
-      "nflxvideo.net", // Netflix
-      "hls.ttvnw.net", // Twitch HLS
-      "video-edge", // Generic video edge
-      "/manifest/", // Streaming manifests
-      "playlist.m3u8", // HLS playlists
-    ];
-
-    return videoPatterns.some((pattern) => url.toLowerCase().includes(pattern));
-  };
+  const getEntryId = (entry) =>
+    `${entry.entryType}|${entry.name}|${entry.startTime}`;
 
   /**
    * Process a performance entry (resource loaded).
    */
   const processResource = (entry) => {
-    // Skip if already processed or no size data
-    if (state.processedResources.has(entry.name)) {
+    const entryId = getEntryId(entry);
+    if (state.processedResources.has(entryId)) {
+      state.skippedEntries.duplicate++;
       return;
     }
 
-    state.processedResources.add(entry.name);
+    state.processedResources.add(entryId);
+    if (state.processedResources.size > MAX_PROCESSED_ENTRIES) {
+      const [oldest] = state.processedResources;
+      state.processedResources.delete(oldest);
+    }
+
+    // A same-origin parent already counted this frame's document request
+    if (
+      entry.entryType === "navigation" &&
+      !isTopFrame &&
+      window.location.ancestorOrigins?.[0] === window.location.origin
+    ) {
+      return;
+    }
+
+    // Served from the cache: nothing crossed the network, but the body size
+    // shows what a cold load would have transferred
+    if (entry.transferSize === 0 && entry.decodedBodySize > 0) {
+      state.cachedBytes += entry.encodedBodySize || entry.decodedBodySize;
+      return;
+    }
 
     const size = entry.transferSize || entry.encodedBodySize || 0;
-    if (size === 0) return; // Skip cached resources with no transfer
+    if (size === 0) {
+      // Cross-origin sizes are hidden without Timing-Allow-Origin
+      state.skippedEntries.noSize++;
+      return;
+    }
 
     const type = entry.initiatorType || "other";
     const url = entry.name || "";
@@ -157,8 +238,17 @@
     // Add to total
     state.totalBytes += size;
 
+    try {
+      const { hostname } = new URL(url);
+      state.bytesByHost[hostname] = (state.bytesByHost[hostname] || 0) + size;
+    } catch {
+      // Entry without a URL; counted in the totals only
+    }
+
     // Check if this is video streaming content (even if marked as fetch/xhr)
     if (type === "video" || isVideoStreamingUrl(url)) {
+      const tier = state.videoPlayback.getCurrentTier() || "unknown";
+      state.videoBytesByTier[tier] = (state.videoBytesByTier[tier] || 0) + size;
       state.videoBytes += size;
       state.resourceCounts.video++;
       return;
@@ -237,58 +327,194 @@
     }
   };
 
+  /**
+   * Summarize video playback by resolution tier (480p/720p/1080p/4k).
+   */
+  const getVideoQualitySummary = () => {
+    const { minutesByTier, droppedFrames, totalFrames } =
+      state.videoPlayback.getSummary();
+
+    const mbByTier = {};
+    Object.entries(state.videoBytesByTier).forEach(([tier, bytes]) => {
+      mbByTier[tier] = +(bytes / 1024 / 1024).toFixed(3);
+    });
+
+    return { minutesByTier, mbByTier, droppedFrames, totalFrames };
+  };
+
+  /**
+   * Clear byte counters and active time once they have been reported.
+   */
+  const resetCounters = () => {
+    state.activeTime.reset();
+    state.backgroundMedia.reset();
+    state.videoPlayback.reset();
+    state.cpuActivity.reset();
+    state.videoBytesByTier = {};
+    state.totalBytes = 0;
+    state.uploadBytes = 0;
+    state.cachedBytes = 0;
+    state.imageBytes = 0;
+    state.videoBytes = 0;
+    state.scriptBytes = 0;
+    state.stylesheetBytes = 0;
+    state.documentBytes = 0;
+    state.otherBytes = 0;
+    state.realtimeBytes = 0;
+    state.embeddedBytes = 0;
+    state.embeddedBytesBySite = {};
+    state.bytesByHost = {};
+    state.resourceCounts = {
+      image: 0,
+      video: 0,
+      script: 0,
+      stylesheet: 0,
+      document: 0,
+      realtime: 0,
+      other: 0,
+    };
+    state.skippedEntries = { duplicate: 0, noSize: 0 };
+    state.lastSendTime = Date.now();
+  };
+
+  /**
+   * Snapshot the access network from the Network Information API.
+   * connection.type is only reported on some platforms (Android, ChromeOS);
+   * effectiveType is the measured speed class, not the radio technology.
+   */
+  const getConnectionInfo = () => {
+    const connection = navigator.connection;
+    if (!connection) return null;
+    return {
+      type: connection.type || null,
+      effectiveType: connection.effectiveType || null,
+    };
+  };
+
   /**
    * Send summary to background service worker.
+   *
+   * The payload is built and the counters reset synchronously, so bytes that
+   * arrive while the message is in flight (e.g. the next SPA route's
+   * requests) are kept for the next summary.
    */
   const sendSummary = async (reason = "navigation") => {
+    if (state.paused) return;
+
     const timeActive = state.activeTime.getActiveMinutes();
     const totalMB = state.totalBytes / 1024 / 1024;
+    const backgroundMedia = state.backgroundMedia.getMinutes();
+    const backgroundMediaMinutes =
+      backgroundMedia.audio + backgroundMedia.video;
+    const uploadMB = state.uploadBytes / 1024 / 1024;
 
     // Only send if there's meaningful activity
-    if (timeActive < 0.05 && totalMB < 0.1) {
+    if (
+      timeActive < 0.05 &&
+      totalMB < 0.1 &&
+      uploadMB < 0.1 &&
+      backgroundMediaMinutes < 0.05
+    ) {
       console.log("CurbYourCarbon: No significant activity to report");
+      // Drop a finished route's leftovers so they don't end up in the next
+      // route's summary
+      if (reason === "route-change") resetCounters();
       return;
     }
 
     const domain = getDomain();
-    const category = categorizeWebsite(domain);
+    const route = state.currentRoute;
+    const embeddedMB = state.embeddedBytes / 1024 / 1024;
+    const embeddedBySite = {};
+    Object.entries(state.embeddedBytesBySite).forEach(([site, bytes]) => {
+      embeddedBySite[site] = +(bytes / 1024 / 1024).toFixed(3);
+    });
+
+    // Hosts on other sites; the background matches them to the companies
+    // behind them and drops the host list
+    const pageSite = getSite(window.location.hostname);
+    const thirdPartyHosts = {};
+    Object.entries(state.bytesByHost).forEach(([hostname, bytes]) => {
+      if (getSite(hostname) !== pageSite) {
+        thirdPartyHosts[hostname] = +(bytes / 1024 / 1024).toFixed(3);
+      }
+    });
 
     console.log("CurbYourCarbon: Sending summary -", {
       reason,
       domain,
-      category,
+      path: route.path,
       timeActive: timeActive.toFixed(2) + " min",
+      idleExcluded: state.activeTime.getIdleMinutes().toFixed(2) + " min",
+      backgroundMedia: backgroundMediaMinutes.toFixed(2) + " min",
       totalMB: totalMB.toFixed(2) + " MB",
+      uploadMB: uploadMB.toFixed(2) + " MB",
+      embeddedMB: embeddedMB.toFixed(2) + " MB",
       breakdown: {
         images: (state.imageBytes / 1024 / 1024).toFixed(2) + " MB",
         videos: (state.videoBytes / 1024 / 1024).toFixed(2) + " MB",
         scripts: (state.scriptBytes / 1024 / 1024).toFixed(2) + " MB",
+        realtime: (state.realtimeBytes / 1024 / 1024).toFixed(2) + " MB",
       },
     });
 
-    const result = await sendEventToBackground({
-      type: category,
+    const eventData = {
+      // Categorized in the background from config/categories.js
       platform: domain,
 
       // Time tracking
       timeActive: +timeActive.toFixed(2),
+      activeIntervals: state.activeTime.getActiveIntervals(),
+      idleMinutesExcluded: state.activeTime.getIdleMinutes(),
+      periodStart: state.lastSendTime,
+
+      // Media still playing while the tab is hidden or unfocused
+      backgroundAudioMinutes: backgroundMedia.audio,
+      backgroundVideoMinutes: backgroundMedia.video,
 
       // Data transfer (in MB for easier handling)
       totalMB: +totalMB.toFixed(3),
+      uploadMB: +uploadMB.toFixed(3),
       imageMB: +(state.imageBytes / 1024 / 1024).toFixed(3),
       videoMB: +(state.videoBytes / 1024 / 1024).toFixed(3),
       scriptMB: +(state.scriptBytes / 1024 / 1024).toFixed(3),
       stylesheetMB: +(state.stylesheetBytes / 1024 / 1024).toFixed(3),
       documentMB: +(state.documentBytes / 1024 / 1024).toFixed(3),
       otherMB: +(state.otherBytes / 1024 / 1024).toFixed(3),
+      realtimeMB: +(state.realtimeBytes / 1024 / 1024).toFixed(3),
+
+      // Served from the browser cache (not counted in totalMB)
+      cachedMB: +(state.cachedBytes / 1024 / 1024).toFixed(3),
+
+      // Page's own frames (and same-site iframes) vs third-party iframes
+      firstPartyMB: +Math.max(totalMB - embeddedMB, 0).toFixed(3),
+      embeddedMB: +embeddedMB.toFixed(3),
+      embeddedBySite,
+      thirdPartyHosts,
 
       // Resource counts
       resourceCounts: { ...state.resourceCounts },
+      skippedEntries: { ...state.skippedEntries },
+
+      // Video resolution tiers
+      videoQuality: getVideoQualitySummary(),
+
+      // CPU load signals; the background scales device power with them
+      cpuActivity: state.cpuActivity.getSummary(),
+
+      // Access network; mobile networks cost more energy per GB
+      connection: getConnectionInfo(),
 
       // Metadata
-      url: window.location.href,
+      url: route.url,
+      path: route.path,
+      routeStartedAt: route.startedAt,
       timestamp: Date.now(),
-    });
+    };
+
+    resetCounters();
+
+    const result = await sendQueuedEvent(eventData);
 
     if (result.ok) {
       console.log("CurbYourCarbon: Event saved -", result.carbonGrams, "g CO2");
@@ -297,53 +523,205 @@
         totalMB: totalMB.toFixed(2) + " MB",
         carbonGrams: result.carbonGrams + "g",
       });
-
-      // Reset state after successful send
-      state.activeTime.reset();
-      state.totalBytes = 0;
-      state.imageBytes = 0;
-      state.videoBytes = 0;
-      state.scriptBytes = 0;
-      state.stylesheetBytes = 0;
-      state.documentBytes = 0;
-      state.otherBytes = 0;
-      state.resourceCounts = {
-        image: 0,
-        video: 0,
-        script: 0,
-        stylesheet: 0,
-        document: 0,
-        other: 0,
-      };
-      state.processedResources.clear();
-      state.lastSendTime = Date.now();
-    } else if (!result.shouldRetry) {
+    } else if (result.queued) {
+      console.log("CurbYourCarbon: Event queued for replay");
+    } else {
       console.error("CurbYourCarbon: Failed to save event:", result.error);
     }
   };
 
-  // Periodic summary (every 15 seconds for responsive updates)
-  const PERIODIC_INTERVAL = 15 * 1000; // 15 seconds
-  const periodicSummary = setInterval(() => {
-    const timeActive = state.activeTime.getActiveMinutes();
-    const timeSinceLastSend = (Date.now() - state.lastSendTime) / 60000;
+  /**
+   * Receive cumulative traffic totals from the page-world instrumentation
+   * (page-instrument.js) and add what's new since the last report.
+   *
+   * Totals arrive on a private MessageChannel: only the port handed to the
+   * instrumentation can post to it, so page scripts can't forge reports.
+   */
+  const watchPageTraffic = () => {
+    let lastTotals = {};
+    const channel = new MessageChannel();
+
+    channel.port1.onmessage = (event) => {
+      const { type, totals } = event.data || {};
+      if (type !== "TRAFFIC" || !totals) {
+        return;
+      }
 
-    // Send if we have 10+ seconds of activity OR 15 seconds have passed
-    if (timeActive >= 0.17 || timeSinceLastSend >= 0.23) {
-      sendSummary("periodic");
-    }
-  }, PERIODIC_INTERVAL);
+      const delta = (key) => {
+        const value = Number(totals[key]) || 0;
+        // Totals only shrink if the instrumentation restarted
+        return value >= (lastTotals[key] || 0)
+          ? value - (lastTotals[key] || 0)
+          : value;
+      };
 
-  // Send summary on page exit
-  window.addEventListener("pagehide", () => {
-    clearInterval(periodicSummary);
-    sendSummary("pagehide");
-  });
+      const receivedBytes =
+        delta("rtcBytesReceived") + delta("wsBytesReceived");
+      state.uploadBytes += delta("rtcBytesSent") + delta("wsBytesSent");
+      state.realtimeBytes += receivedBytes;
+      state.totalBytes += receivedBytes;
+      state.resourceCounts.realtime +=
+        delta("rtcConnections") + delta("wsConnections");
+      lastTotals = { ...totals };
+    };
 
-  window.addEventListener("beforeunload", () => {
-    clearInterval(periodicSummary);
-    sendSummary("beforeunload");
-  });
+    window.postMessage({ source: PAGE_MESSAGE_SOURCE, type: "CONNECT" }, "*", [
+      channel.port2,
+    ]);
+  };
+
+  /**
+   * Forward this frame's cumulative traffic to the top frame's tracker,
+   * relayed by the background so the page can't read or forge reports.
+   * Totals are cumulative so a report lost before the top frame's tracker
+   * loads is caught up by the next one.
+   */
+  const reportToTopFrame = () => {
+    const frameId = crypto.randomUUID();
+    let lastReported = "";
+    let lastVideoTier = null;
+
+    const report = () => {
+      const totals = {
+        resourceCounts: { ...state.resourceCounts },
+        skippedEntries: { ...state.skippedEntries },
+      };
+      BYTE_COUNTERS.forEach((key) => {
+        totals[key] = state[key];
+      });
+      totals.videoBytesByTier = { ...state.videoBytesByTier };
+      totals.bytesByHost = { ...state.bytesByHost };
+
+      // Sent with every report while a video plays, so the top frame can
+      // count watching time by tier (reports stop when playback does)
+      const videoTier = state.videoPlayback.getCurrentTier();
+
+      const serialized = JSON.stringify(totals);
+      if (
+        !videoTier &&
+        !lastVideoTier &&
+        (serialized === lastReported ||
+          state.totalBytes + state.uploadBytes + state.cachedBytes === 0)
+      ) {
+        return;
+      }
+      lastReported = serialized;
+      lastVideoTier = videoTier;
+
+      if (!chrome.runtime?.id) return;
+      chrome.runtime.sendMessage(
+        { type: "FRAME_TRAFFIC", frameId, totals, videoTier },
+        () => {
+          if (chrome.runtime.lastError) {
+            // Service worker inactive; the next report carries the totals
+          }
+        },
+      );
+    };
+
+    setInterval(report, FRAME_REPORT_INTERVAL);
+    window.addEventListener("pagehide", report);
+  };
+
+  /**
+   * Add traffic forwarded by trackers in iframes (see reportToTopFrame).
+   * Frames from another site are also counted as embedded content, keyed by
+   * the frame's origin as the background saw it.
+   */
+  const watchFrameTraffic = () => {
+    const lastTotalsByFrame = new Map();
+    const pageSite = getSite(window.location.hostname);
+
+    chrome.runtime.onMessage.addListener((message) => {
+      const { type, frameId, origin, totals, videoTier } = message || {};
+      if (type !== "FRAME_TRAFFIC" || !frameId || !totals) {
+        return false;
+      }
+
+      state.videoPlayback.setFrameTier(frameId, videoTier || null);
+
+      const lastTotals = lastTotalsByFrame.get(frameId) || {
+        resourceCounts: {},
+        skippedEntries: {},
+        videoBytesByTier: {},
+        bytesByHost: {},
+      };
+      const delta = (value, last) =>
+        Math.max((Number(value) || 0) - (last || 0), 0);
+
+      BYTE_COUNTERS.forEach((key) => {
+        state[key] += delta(totals[key], lastTotals[key]);
+      });
+      Object.keys(state.resourceCounts).forEach((key) => {
+        state.resourceCounts[key] += delta(
+          totals.resourceCounts?.[key],
+          lastTotals.resourceCounts[key],
+        );
+      });
+      Object.keys(state.skippedEntries).forEach((key) => {
+        state.skippedEntries[key] += delta(
+          totals.skippedEntries?.[key],
+          lastTotals.skippedEntries[key],
+        );
+      });
+      Object.entries(totals.videoBytesByTier || {}).forEach(([tier, bytes]) => {
+        state.videoBytesByTier[tier] =
+          (state.videoBytesByTier[tier] || 0) +
+          delta(bytes, lastTotals.videoBytesByTier[tier]);
+      });
+      Object.entries(totals.bytesByHost || {}).forEach(([hostname, bytes]) => {
+        state.bytesByHost[hostname] =
+          (state.bytesByHost[hostname] || 0) +
+          delta(bytes, lastTotals.bytesByHost[hostname]);
+      });
+
+      let frameSite = null;
+      try {
+        frameSite = getSite(new URL(origin).hostname);
+      } catch {
+        // Opaque origins (sandboxed frames) report as "null"
+      }
+      if (frameSite !== pageSite) {
+        const site = frameSite || "sandboxed";
+        const bytes = delta(totals.totalBytes, lastTotals.totalBytes);
+        state.embeddedBytes += bytes;
+        state.embeddedBytesBySite[site] =
+          (state.embeddedBytesBySite[site] || 0) + bytes;
+      }
+
+      lastTotalsByFrame.set(frameId, totals);
+      return false;
+    });
+  };
+
+  /**
+   * Detect single-page-app route changes and flush the finished route.
+   *
+   * pushState/replaceState calls made by the page aren't visible from the
+   * content script's isolated world, so the Navigation API is preferred and
+   * URL polling is the fallback where it's unavailable.
+   */
+  const watchRouteChanges = () => {
+    const handleRouteChange = () => {
+      const nextRoute = createRoute();
+      if (nextRoute.key === state.currentRoute.key) return;
+
+      sendSummary("route-change");
+      state.currentRoute = nextRoute;
+    };
+
+    if (window.navigation?.addEventListener) {
+      window.navigation.addEventListener(
+        "currententrychange",
+        handleRouteChange,
+      );
+    } else {
+      setInterval(handleRouteChange, ROUTE_POLL_INTERVAL);
+    }
+
+    window.addEventListener("popstate", handleRouteChange);
+    window.addEventListener("hashchange", handleRouteChange);
+  };
 
   // Auto-detect device on first run
   const detectAndStoreDevice = async () => {
@@ -390,11 +768,107 @@
     }
   };
 
-  // Initialize
-  detectAndStoreDevice();
-  scanExistingResources();
-  observeNewResources();
+  /**
+   * Report what was measured before a pause, and drop what was measured
+   * during it.
+   */
+  const handlePauseChange = (paused) => {
+    if (paused === state.paused) return;
+
+    if (paused) {
+      sendSummary("pause");
+      state.paused = true;
+      console.log("CurbYourCarbon: Tracking paused");
+    } else {
+      resetCounters();
+      state.paused = false;
+      console.log("CurbYourCarbon: Tracking resumed");
+    }
+  };
+
+  /**
+   * Host of the top-level page, which exclusions apply to (iframes can't
+   * read it directly when cross-origin).
+   */
+  const getPageHostname = () => {
+    const origins = window.location.ancestorOrigins;
+    if (isTopFrame || !origins?.length) return window.location.hostname;
+    try {
+      return new URL(origins[origins.length - 1]).hostname;
+    } catch {
+      return window.location.hostname;
+    }
+  };
+
+  /**
+   * Start measuring the page.
+   */
+  const startTracking = (pausedUntil) => {
+    state.videoPlayback = getVideoPlayback();
+
+    if (!isTopFrame) {
+      scanExistingResources();
+      observeNewResources();
+      watchPageTraffic();
+      reportToTopFrame();
+      return;
+    }
+
+    state.activeTime = getActiveTime();
+    state.backgroundMedia = getBackgroundMediaTime();
+    state.cpuActivity = getCpuActivity();
+
+    // Periodic summary (every 15 seconds for responsive updates)
+    const PERIODIC_INTERVAL = 15 * 1000; // 15 seconds
+    const periodicSummary = setInterval(() => {
+      flushOutbox();
+
+      const timeActive = state.activeTime.getActiveMinutes();
+      const timeSinceLastSend = (Date.now() - state.lastSendTime) / 60000;
+
+      // Send if we have 10+ seconds of activity OR 15 seconds have passed
+      if (timeActive >= 0.17 || timeSinceLastSend >= 0.23) {
+        sendSummary("periodic");
+      }
+    }, PERIODIC_INTERVAL);
+
+    // Send summary on page exit
+    window.addEventListener("pagehide", () => {
+      clearInterval(periodicSummary);
+      sendSummary("pagehide");
+    });
+
+    window.addEventListener("beforeunload", () => {
+      clearInterval(periodicSummary);
+      sendSummary("beforeunload");
+    });
 
-  const category = categorizeWebsite(getDomain());
-  console.log("CurbYourCarbon: Universal tracker ready -", category, "site");
+    // Initialize
+    flushOutbox();
+    detectAndStoreDevice();
+    scanExistingResources();
+    observeNewResources();
+    watchRouteChanges();
+    watchPageTraffic();
+    watchFrameTraffic();
+    watchTrackingPause(handlePauseChange, pausedUntil);
+
+    console.log("CurbYourCarbon: Universal tracker ready on", getDomain());
+  };
+
+  // Honour the user's exclusions and incognito setting before observing
+  // anything
+  Promise.all([
+    getTrackingControls(getPageHostname()),
+    loadVideoUrlPatterns(),
+  ]).then(([{ excluded, incognito, pausedUntil }]) => {
+    if (excluded || incognito) {
+      console.log(
+        "CurbYourCarbon: Not tracking this page -",
+        excluded ? "site excluded" : "incognito window",
+      );
+      return;
+    }
+    startTracking(pausedUntil);
+  });
 })();
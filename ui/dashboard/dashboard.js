@@ -1,29 +1,88 @@
 import { TrackingStorage } from "../../storage/tracking-storage.js";
-import { aggregateByCategory, calculateEquivalencies } from "../../calculators/carbon-calculator.js";
-import { BASELINE_GRID_INTENSITY } from "../../config/energy-constants.js";
-import { CATEGORY_DISPLAY_NAMES } from "../../config/categories.js";
+import {
+  aggregateByAccessNetwork,
+  aggregateByCategory,
+  aggregateBySegment,
+  aggregateBySubcategory,
+  aggregateCacheSavings,
+  aggregateByThirdParty,
+  aggregateByVideoTier,
+  aggregateCarbonRange,
+  calculateEquivalencies,
+  estimateTierStepDownSavings,
+  getAccessNetwork,
+  getDeviceCalibration,
+  getDeviceType,
+  getEmbodiedProfile,
+  getEventCarbonRange,
+} from "../../calculators/carbon-calculator.js";
+import {
+  CARBON_MODELS,
+  DEFAULT_CARBON_MODEL,
+  getCarbonModel,
+  getCarbonModelLabel,
+  getSelectedCarbonModel,
+  setSelectedCarbonModel,
+} from "../../calculators/carbon-models.js";
+import {
+  ACCESS_NETWORK_ENERGY,
+  BASELINE_GRID_INTENSITY,
+  CARBON_UNCERTAINTY,
+  VIDEO_QUALITY_TIERS,
+} from "../../config/energy-constants.js";
+import {
+  CATEGORY_DISPLAY_NAMES,
+  CATEGORY_TAXONOMY,
+  DEFAULT_SUBCATEGORY,
+  RULE_TYPES,
+  findMatchingRule,
+  getCategoryDisplayName,
+  getParentCategory,
+} from "../../config/categories.js";
+import { getCategoryRules, saveCategoryRules } from "../../storage/category-rules-storage.js";
+import {
+  getExcludedDomains,
+  getPauseHistory,
+  getPausedUntil,
+  getSkipIncognito,
+  saveExcludedDomains,
+  setSkipIncognito,
+} from "../../storage/tracking-controls-storage.js";
+import { getPrivacyLevel, isStricterLevel, setPrivacyLevel } from "../../storage/privacy-storage.js";
+import { THIRD_PARTY_CATEGORY_NAMES } from "../../config/third-party-domains.js";
 import { getGridZoneName } from "../../config/grid-zones.js";
 import { getDeviceDisplayName } from "../../config/devices.js";
+import {
+  CALIBRATION_DATA_KEY,
+  MIN_CALIBRATION_PERCENT,
+  getCalibrationData,
+  getCalibrationDeviceType,
+  getCalibrationSettings,
+  resetCalibrationData,
+  saveCalibrationSettings,
+} from "../../storage/device-calibration-storage.js";
+import { getDeviceProfile, saveDeviceProfile } from "../../storage/device-profile-storage.js";
+import { RECALCULATION_JOB_KEY, getRecalculationJob } from "../../storage/recalculation-storage.js";
 import { reverseGeocode } from "../../services/geocoding.js";
 import { getCurrentGoal, setGoal, getGoalHistory } from "../../storage/goal-storage.js";
 import { calculateProgress, getPeriodStart } from "../../calculators/goal-calculator.js";
 import { generateRecommendations } from "../../calculators/recommendations.js";
 import { ACHIEVEMENTS, getEarnedIds } from "../../calculators/achievements.js";
 import { getUnlockedAchievements, saveNewlyUnlocked } from "../../storage/achievement-storage.js";
+import { formatGrams, formatGramsRange, formatValueRange } from "../format.js";
 
 const trackingStorage = new TrackingStorage();
 let categoryChart = null;
 let platformChart = null;
+let videoTierChart = null;
+let thirdPartyChart = null;
+let cacheSavingsChart = null;
+let accessNetworkChart = null;
 
 // Navigation state
 let activeRange = 'today';
 let periodOffset = 0;
 
-const formatGrams = (grams) => {
-  if (grams >= 1000) return `${(grams / 1000).toFixed(2)} kg`;
-  return `${grams.toFixed(1)} g`;
-};
-
 const getRange = (rangeKey, offset) => {
   const now = new Date();
 
@@ -185,31 +244,92 @@ const updateDeviceInfo = async () => {
     const deviceType = result.deviceType || 'auto';
     const detectedDevice = result.detectedDevice || 'laptop';
     
-    document.getElementById('device-info-text').textContent = getDeviceDisplayName(deviceType, detectedDevice);
+    const calibrated = await getDeviceCalibration();
+    document.getElementById('device-info-text').textContent = calibrated
+      ? `${getDeviceDisplayName(deviceType, detectedDevice)} · calibrated ${calibrated.watts}W`
+      : getDeviceDisplayName(deviceType, detectedDevice);
   } catch (error) {
     // Silently fail - use defaults
   }
 };
 
+// Carbon segments, as recorded by the calculation models
+const SEGMENT_NAMES = {
+  network: '📡 Network',
+  device: '💻 Device electricity',
+  deviceEmbodied: '🏭 Device manufacturing',
+  embodied: '🏭 Embodied (per GB)',
+  backgroundMedia: '🎧 Background media',
+  dataCentre: '🗄️ Data centres',
+  other: 'Other'
+};
+
 const updateCalculationFormulas = (events, total) => {
   const totalMB = events.reduce((sum, e) => sum + (e.data?.totalMB || 0), 0);
-  const totalTime = events.reduce((sum, e) => sum + (e.data?.timeActive || 0), 0);
-  
-  const networkKwh = (totalMB / 1024) * 0.016;
-  document.getElementById('network-formula').textContent = `${totalMB.toFixed(1)} MB transferred`;
-  
-  document.getElementById('energy-formula').textContent = `Network energy = ${networkKwh.toFixed(4)} kWh`;
-  
-  const deviceKwh = (totalTime / 60) * (20 / 1000);
-  document.getElementById('device-formula').textContent = `${totalTime.toFixed(1)} min × 20W = ${deviceKwh.toFixed(4)} kWh`;
+  const uploadMB = events.reduce((sum, e) => sum + (e.data?.uploadMB || 0), 0);
+
+  // Each step follows the models that priced the events in range
+  const getEventModel = (e) => getCarbonModel(e.data?.carbonModel?.id);
+  const models = [...new Set(events.map(getEventModel))];
+  if (models.length === 0) models.push(getCarbonModel(DEFAULT_CARBON_MODEL));
+  const deviceEvents = events.filter((e) => getEventModel(e).usesDeviceWatts);
+  const embodiedEvents = events.filter((e) => getEventModel(e).usesDeviceEmbodied);
+
+  const dataKwh = events.reduce((sum, e) => sum + getEventModel(e).getDataKWh(e.data || {}), 0);
+  document.getElementById('network-formula').textContent = `${totalMB.toFixed(1)} MB downloaded + ${uploadMB.toFixed(1)} MB uploaded`;
+
+  document.getElementById('energy-basis').textContent = models.map((model) => model.dataEnergyBasis).join(' ');
+  document.getElementById('energy-formula').textContent = `Data transfer energy = ${dataKwh.toFixed(4)} kWh`;
+
+  document.getElementById('device-step').style.display = models.some((model) => model.usesDeviceWatts) ? '' : 'none';
+  document.getElementById('embodied-step').style.display = models.some((model) => model.usesDeviceEmbodied) ? '' : 'none';
+
+  // Time-weighted average of each event's load-scaled device power
+  const totalTime = deviceEvents.reduce((sum, e) => sum + (e.data?.timeActive || 0), 0);
+  const wattMinutes = deviceEvents.reduce((sum, e) => sum + (e.data?.timeActive || 0) * (e.data?.deviceWatts || 20), 0);
+  const avgWatts = totalTime > 0 ? wattMinutes / totalTime : 20;
+  const loadEvents = deviceEvents.filter((e) => typeof e.data?.cpuUtilisation === 'number' && e.data?.timeActive > 0);
+  const loadTime = loadEvents.reduce((sum, e) => sum + e.data.timeActive, 0);
+  const avgLoad = loadTime > 0
+    ? loadEvents.reduce((sum, e) => sum + e.data.cpuUtilisation * e.data.timeActive, 0) / loadTime
+    : null;
+  const loadText = avgLoad !== null ? ` at ${Math.round(avgLoad * 100)}% CPU load` : '';
+
+  const deviceKwh = (totalTime / 60) * (avgWatts / 1000);
+  document.getElementById('device-formula').textContent = `${totalTime.toFixed(1)} min × ${avgWatts.toFixed(1)}W${loadText} = ${deviceKwh.toFixed(4)} kWh`;
   
   document.getElementById('intensity-value').textContent = BASELINE_GRID_INTENSITY;
   document.getElementById('final-carbon').textContent = total.toFixed(1);
+
+  const minutes = embodiedEvents.reduce((sum, e) => sum + (e.data?.deviceMinutes ?? e.data?.timeActive ?? 0), 0);
+  const segments = aggregateBySegment(events);
+  const embodied = aggregateBySegment(embodiedEvents).deviceEmbodied || 0;
+  document.getElementById('embodied-formula').textContent = minutes > 0
+    ? `${minutes.toFixed(1)} min × ${(embodied / minutes).toFixed(3)} g/min = ${embodied.toFixed(2)} g CO₂e`
+    : '0 min × 0 g/min = 0 g CO₂e';
+
+  document.getElementById('segment-list').innerHTML = Object.entries(segments)
+    .filter(([, grams]) => grams > 0)
+    .sort(([, a], [, b]) => b - a)
+    .map(([segment, grams]) => `<li><span>${SEGMENT_NAMES[segment] || segment}</span><span>${formatGrams(grams)} (${((grams / total) * 100).toFixed(0)}%)</span></li>`)
+    .join('');
+
+  const { network, device, calibratedDevice, grid, unknownGrid } = CARBON_UNCERTAINTY;
+  document.getElementById('carbon-range-note').textContent = total > 0
+    ? `Likely range: ${formatGramsRange(aggregateCarbonRange(events))}. Network energy is taken at ×${network.low}–×${network.high} ` +
+      `of the kWh/GB figure and device power at ×${device.low}–×${device.high} of its wattage ` +
+      `(narrowing to ×${calibratedDevice.low}–×${calibratedDevice.high} as a battery calibration gains confidence). ` +
+      `Grid intensity is taken at ×${grid.low}–×${grid.high} of a live regional reading, or ×${unknownGrid.low}–×${unknownGrid.high} ` +
+      `of the global average when there is none.`
+    : '';
 };
 
 const updateEducationComparisons = (events, total, rangeKey) => {
   const totalMB = events.reduce((sum, e) => sum + (e.data?.totalMB || 0), 0);
+  const uploadMB = events.reduce((sum, e) => sum + (e.data?.uploadMB || 0), 0);
   const totalTime = events.reduce((sum, e) => sum + (e.data?.timeActive || 0), 0);
+  const backgroundMediaTime = events.reduce((sum, e) =>
+    sum + (e.data?.backgroundAudioMinutes || 0) + (e.data?.backgroundVideoMinutes || 0), 0);
   
   const avgDaily = 75;
   const days = rangeKey === 'today' ? 1 : (rangeKey === 'week' ? 7 : 30);
@@ -244,19 +364,27 @@ const updateEducationComparisons = (events, total, rangeKey) => {
   
   document.getElementById('vs-average').textContent = vsAverageText;
   document.getElementById('total-mb').textContent = `${totalMB.toFixed(1)} MB`;
+  document.getElementById('total-upload-mb').textContent = `${uploadMB.toFixed(1)} MB`;
   
   // Format time: show hours if >= 60 minutes
-  const timeText = totalTime >= 60 
-    ? `${(totalTime / 60).toFixed(1)} hr`
-    : `${totalTime.toFixed(0)} min`;
-  document.getElementById('total-time').textContent = timeText;
+  const formatMinutes = (minutes) => minutes >= 60
+    ? `${(minutes / 60).toFixed(1)} hr`
+    : `${minutes.toFixed(0)} min`;
+  document.getElementById('total-time').textContent = formatMinutes(totalTime);
+  document.getElementById('background-media-time').textContent = formatMinutes(backgroundMediaTime);
 };
 
-const updateModernEquivalencies = (total) => {
+const updateModernEquivalencies = (total, range) => {
   const eq = calculateEquivalencies(total);
-  document.getElementById('eq-miles').textContent = eq.milesDriven.toFixed(2);
-  document.getElementById('eq-phones').textContent = eq.phonesCharged.toFixed(1);
-  document.getElementById('eq-trees').textContent = (eq.treesNeeded * 365).toFixed(1);
+  const low = calculateEquivalencies(range.low);
+  const high = calculateEquivalencies(range.high);
+  const withRange = (value, key, scale = 1) => total > 0
+    ? `${value} (${formatValueRange({ low: low[key] * scale, high: high[key] * scale })})`
+    : value;
+
+  document.getElementById('eq-miles').textContent = withRange(eq.milesDriven.toFixed(2), 'milesDriven');
+  document.getElementById('eq-phones').textContent = withRange(eq.phonesCharged.toFixed(1), 'phonesCharged');
+  document.getElementById('eq-trees').textContent = withRange((eq.treesNeeded * 365).toFixed(1), 'treesNeeded', 365);
 };
 
 const renderRecommendations = (recommendations) => {
@@ -273,19 +401,36 @@ const renderRecommendations = (recommendations) => {
   `).join("");
 };
 
-const renderCategoryChart = (categoryTotals) => {
+// Greens for media, teal for shopping, yellow-greens for browsing
+const SUBCATEGORY_COLORS = {
+  video: "#2E7D32",
+  social: "#43A047",
+  gaming: "#66BB6A",
+  media: "#81C784",
+  shopping: "#26A69A",
+  video_calls: "#558B2F",
+  ai: "#689F38",
+  news: "#7CB342",
+  productivity: "#8BC34A",
+  email: "#9CCC65",
+  search: "#AED581",
+  other: "#C5E1A5",
+  browsing: "#C5E1A5",
+};
+
+const renderCategoryChart = (subcategoryTotals, events) => {
   const ctx = document.getElementById("category-chart");
   if (!window.Chart || !ctx) return;
   if (categoryChart) categoryChart.destroy();
 
-  const total = Object.values(categoryTotals).reduce((sum, v) => sum + v, 0);
+  const total = Object.values(subcategoryTotals).reduce((sum, v) => sum + v, 0);
   const hasData = total > 0;
-  const categories = Object.entries(categoryTotals)
+  const categories = Object.entries(subcategoryTotals)
     .filter(([, value]) => value > 0)
     .sort(([, a], [, b]) => b - a);
-  const labels = categories.map(([key]) => CATEGORY_DISPLAY_NAMES[key] || key);
+  const labels = categories.map(([key]) => getCategoryDisplayName(key));
   const data = categories.map(([, value]) => value);
-  const colors = ["#7CB342", "#43A047", "#26A69A"];
+  const colors = categories.map(([key]) => SUBCATEGORY_COLORS[key] || "#C5E1A5");
 
   categoryChart = new Chart(ctx, {
     type: "doughnut",
@@ -293,7 +438,7 @@ const renderCategoryChart = (categoryTotals) => {
       labels: hasData ? labels : ["No data yet"],
       datasets: [{ 
         data: hasData ? data : [1], 
-        backgroundColor: hasData ? colors.slice(0, data.length) : ["#e0e0e0"] 
+        backgroundColor: hasData ? colors : ["#e0e0e0"] 
       }],
     },
     options: {
@@ -306,7 +451,11 @@ const renderCategoryChart = (categoryTotals) => {
               const label = context.label || '';
               const value = context.parsed || 0;
               const percent = ((value / total) * 100).toFixed(1);
-              return `${label}: ${formatGrams(value)} (${percent}%)`;
+              const parent = CATEGORY_DISPLAY_NAMES[getParentCategory(categories[context.dataIndex][0])];
+              const group = parent !== label ? ` (${parent})` : '';
+              const type = categories[context.dataIndex][0];
+              const range = aggregateCarbonRange(events.filter((e) => (e.type || DEFAULT_SUBCATEGORY) === type));
+              return `${label}${group}: ${formatGrams(value)} (${formatGramsRange(range)}, ${percent}%)`;
             }
           }
         }
@@ -315,7 +464,7 @@ const renderCategoryChart = (categoryTotals) => {
   });
 };
 
-const renderPlatformChart = (platformTotals) => {
+const renderPlatformChart = (platformTotals, events) => {
   const ctx = document.getElementById("platform-chart");
   if (!window.Chart || !ctx) return;
   if (platformChart) platformChart.destroy();
@@ -353,7 +502,9 @@ const renderPlatformChart = (platformTotals) => {
               // When horizontal (indexAxis: 'y'), value is in x. When vertical, value is in y.
               const isHorizontal = context.chart.options.indexAxis === 'y';
               const value = isHorizontal ? context.parsed.x : context.parsed.y;
-              return `${formatGrams(value)} CO₂`;
+              const platform = sortedPlatforms[context.dataIndex][0];
+              const range = aggregateCarbonRange(events.filter((e) => (e.platform || 'unknown') === platform));
+              return `${formatGrams(value)} (${formatGramsRange(range)}) CO₂`;
             }
           }
         }
@@ -362,6 +513,276 @@ const renderPlatformChart = (platformTotals) => {
   });
 };
 
+const renderVideoTierChart = (events) => {
+  const ctx = document.getElementById("video-tier-chart");
+  if (!window.Chart || !ctx) return;
+  if (videoTierChart) videoTierChart.destroy();
+
+  const tierTotals = aggregateByVideoTier(events);
+  const tiers = Object.keys(VIDEO_QUALITY_TIERS);
+  const data = tiers.map((tier) => tierTotals[tier].grams);
+  const hasData = data.some((value) => value > 0);
+
+  videoTierChart = new Chart(ctx, {
+    type: "bar",
+    data: {
+      labels: hasData ? tiers.map((tier) => VIDEO_QUALITY_TIERS[tier].label) : ["No video yet"],
+      datasets: [{
+        label: "CO₂ (g)",
+        data: hasData ? data : [0],
+        backgroundColor: hasData ? "#26A69A" : "#e0e0e0"
+      }],
+    },
+    options: {
+      scales: { y: { beginAtZero: true } },
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: function(context) {
+              const tier = tierTotals[tiers[context.dataIndex]];
+              return `${formatGrams(context.parsed.y)} (${formatGramsRange(tier)}) CO₂ · ${tier.minutes.toFixed(0)} min · ${tier.mb.toFixed(0)} MB`;
+            }
+          }
+        }
+      },
+    },
+  });
+
+  const savings = estimateTierStepDownSavings(tierTotals);
+  const savingsEl = document.getElementById("video-tier-savings");
+  if (savings.total > 0) {
+    const step = savings.byTier[savings.topTier];
+    savingsEl.textContent =
+      `Stepping down one tier would save ~${formatGrams(savings.total)} (${formatGramsRange(savings)}) CO₂ ` +
+      `(e.g. ${VIDEO_QUALITY_TIERS[savings.topTier].label} → ${VIDEO_QUALITY_TIERS[step.to].label} uses ~${step.percent}% less data).`;
+  } else {
+    savingsEl.textContent = hasData ? "Your video is already at the lowest tier." : "";
+  }
+};
+
+const THIRD_PARTY_COLORS = {
+  advertising: "#E57373",
+  analytics: "#FFB74D",
+  social: "#64B5F6",
+  content: "#90A4AE",
+};
+
+const renderThirdPartyChart = (events) => {
+  const ctx = document.getElementById("third-party-chart");
+  if (!window.Chart || !ctx) return;
+  if (thirdPartyChart) thirdPartyChart.destroy();
+
+  const entityTotals = aggregateByThirdParty(events);
+  const entities = Object.entries(entityTotals)
+    .filter(([, totals]) => totals.grams > 0)
+    .sort(([, a], [, b]) => b.grams - a.grams)
+    .slice(0, 8);
+  const hasData = entities.length > 0;
+
+  thirdPartyChart = new Chart(ctx, {
+    type: "bar",
+    data: {
+      labels: hasData ? entities.map(([entity]) => entity) : ["No third parties yet"],
+      datasets: [{
+        label: "CO₂ (g)",
+        data: hasData ? entities.map(([, totals]) => totals.grams) : [0],
+        backgroundColor: hasData
+          ? entities.map(([, totals]) => THIRD_PARTY_COLORS[totals.category] || "#90A4AE")
+          : "#e0e0e0"
+      }],
+    },
+    options: {
+      indexAxis: 'y',
+      scales: { x: { beginAtZero: true } },
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: function(context) {
+              const totals = entities[context.dataIndex][1];
+              const category = THIRD_PARTY_CATEGORY_NAMES[totals.category] || totals.category;
+              return `${formatGrams(context.parsed.x)} (${formatGramsRange(totals)}) CO₂ · ${totals.mb.toFixed(1)} MB · ${category}`;
+            }
+          }
+        }
+      },
+    },
+  });
+
+  const totalMB = events.reduce((sum, event) => sum + (event.data?.totalMB || 0), 0);
+  const thirdPartyMB = Object.values(entityTotals).reduce((sum, totals) => sum + totals.mb, 0);
+  const thirdPartyGrams = Object.values(entityTotals).reduce((sum, totals) => sum + totals.grams, 0);
+  const thirdPartyRange = {
+    low: Object.values(entityTotals).reduce((sum, totals) => sum + totals.low, 0),
+    high: Object.values(entityTotals).reduce((sum, totals) => sum + totals.high, 0),
+  };
+  const shareEl = document.getElementById("third-party-share");
+  shareEl.textContent = totalMB > 0 && thirdPartyMB > 0
+    ? `Ads, analytics and other third parties moved ${((thirdPartyMB / totalMB) * 100).toFixed(0)}% of your data (~${formatGrams(thirdPartyGrams)} (${formatGramsRange(thirdPartyRange)}) CO₂).`
+    : "";
+};
+
+const ACCESS_NETWORK_COLORS = {
+  wired: "#66BB6A",
+  wifi: "#26A69A",
+  cellular: "#FFA726",
+  cellular_slow: "#EF5350",
+  unknown: "#BDBDBD",
+};
+
+const renderAccessNetworkChart = (events) => {
+  const ctx = document.getElementById("access-network-chart");
+  if (!window.Chart || !ctx) return;
+  if (accessNetworkChart) accessNetworkChart.destroy();
+
+  const networkTotals = aggregateByAccessNetwork(events);
+  const networks = Object.keys(ACCESS_NETWORK_ENERGY).filter((key) => networkTotals[key]?.mb > 0);
+  const hasData = networks.length > 0;
+  const totalGrams = networks.reduce((sum, key) => sum + networkTotals[key].grams, 0);
+
+  accessNetworkChart = new Chart(ctx, {
+    type: "doughnut",
+    data: {
+      labels: hasData ? networks.map((key) => ACCESS_NETWORK_ENERGY[key].label) : ["No data yet"],
+      datasets: [{
+        data: hasData ? networks.map((key) => networkTotals[key].grams) : [1],
+        backgroundColor: hasData ? networks.map((key) => ACCESS_NETWORK_COLORS[key]) : ["#e0e0e0"]
+      }],
+    },
+    options: {
+      plugins: {
+        legend: { position: "bottom" },
+        tooltip: {
+          enabled: hasData,
+          callbacks: {
+            label: function(context) {
+              const totals = networkTotals[networks[context.dataIndex]];
+              return `${context.label}: ${formatGrams(totals.grams)} (${formatGramsRange(totals)}) CO₂ · ${totals.mb.toFixed(1)} MB`;
+            }
+          }
+        }
+      },
+    },
+  });
+
+  const mobileMB = (networkTotals.cellular?.mb || 0) + (networkTotals.cellular_slow?.mb || 0);
+  const mobileGrams = (networkTotals.cellular?.grams || 0) + (networkTotals.cellular_slow?.grams || 0);
+  document.getElementById("access-network-note").textContent = mobileMB > 0
+    ? `Mobile data was ${((mobileGrams / totalGrams) * 100).toFixed(0)}% of your network carbon. Each GB over mobile costs ~${Math.round(ACCESS_NETWORK_ENERGY.cellular.kWhPerGB / ACCESS_NETWORK_ENERGY.wifi.kWhPerGB)}× the energy of Wi-Fi.`
+    : networkTotals.unknown?.mb > 0
+      ? "Desktop browsers often don't report the connection type; those bytes use the average network figure."
+      : "";
+
+  document.getElementById("access-network-list").innerHTML = hasData
+    ? networks.map((key) => `
+      <li><span>${ACCESS_NETWORK_ENERGY[key].label} (${ACCESS_NETWORK_ENERGY[key].kWhPerGB} kWh/GB)</span><span>${formatGrams(networkTotals[key].grams)} (${formatGramsRange(networkTotals[key])}) · ${networkTotals[key].mb.toFixed(1)} MB</span></li>
+    `).join("")
+    : '<li><span>No data yet</span></li>';
+};
+
+// Hourly buckets for a single day, daily buckets otherwise
+const getTimeBuckets = (rangeKey, start, end) => {
+  if (rangeKey === 'today') {
+    const keys = Array.from({ length: 24 }, (_, hour) => hour);
+    return {
+      keys,
+      labels: keys.map((hour) => `${hour}:00`),
+      getBucket: (timestamp) => new Date(timestamp).getHours(),
+    };
+  }
+
+  const keys = [];
+  const labels = [];
+  for (const day = new Date(start); day <= end; day.setDate(day.getDate() + 1)) {
+    keys.push(day.toDateString());
+    labels.push(`${SHORT_MONTHS[day.getMonth()]} ${day.getDate()}`);
+  }
+  return { keys, labels, getBucket: (timestamp) => new Date(timestamp).toDateString() };
+};
+
+const renderCacheSavings = (events, rangeKey, start, end) => {
+  const ctx = document.getElementById("cache-savings-chart");
+  if (!window.Chart || !ctx) return;
+  if (cacheSavingsChart) cacheSavingsChart.destroy();
+
+  const buckets = getTimeBuckets(rangeKey, start, end);
+  const savings = aggregateCacheSavings(events, buckets.getBucket);
+  const hasData = savings.total.grams > 0;
+
+  cacheSavingsChart = new Chart(ctx, {
+    type: "bar",
+    data: {
+      labels: hasData ? buckets.labels : ["No cache hits yet"],
+      datasets: [{
+        label: "CO₂ avoided (g)",
+        data: hasData ? buckets.keys.map((key) => savings.byBucket[key]?.grams || 0) : [0],
+        backgroundColor: hasData ? "#7CB342" : "#e0e0e0"
+      }],
+    },
+    options: {
+      scales: { y: { beginAtZero: true } },
+      plugins: {
+        legend: { display: false },
+        tooltip: {
+          callbacks: {
+            label: function(context) {
+              const bucket = savings.byBucket[buckets.keys[context.dataIndex]];
+              const range = bucket ? ` (${formatGramsRange(bucket)})` : '';
+              return `${formatGrams(context.parsed.y)}${range} CO₂ avoided · ${(bucket?.mb || 0).toFixed(1)} MB from cache`;
+            }
+          }
+        }
+      },
+    },
+  });
+
+  document.getElementById("cache-savings-total").textContent = hasData
+    ? `Your browser cache served ${savings.total.mb.toFixed(1)} MB, avoiding ~${formatGrams(savings.total.grams)} (${formatGramsRange(savings.total)}) CO₂. Hard reloads (Ctrl+Shift+R) and clearing the cache throw this away.`
+    : "";
+
+  const topSites = Object.entries(savings.bySite)
+    .sort(([, a], [, b]) => b.grams - a.grams)
+    .slice(0, 5);
+  document.getElementById("cache-savings-sites").innerHTML = topSites.length > 0
+    ? topSites.map(([site, totals]) => `
+      <li><span>${site}</span><span>${formatGrams(totals.grams)} (${formatGramsRange(totals)}) · ${totals.mb.toFixed(1)} MB</span></li>
+    `).join("")
+    : '<li><span>No cache hits yet</span></li>';
+};
+
+const formatPauseTime = (timestamp, rangeKey) => new Date(timestamp).toLocaleString([], rangeKey === 'today'
+  ? { hour: '2-digit', minute: '2-digit' }
+  : { weekday: 'short', hour: '2-digit', minute: '2-digit' });
+
+// Pauses overlapping the range, so gaps in the charts aren't a mystery
+const renderPauseNotice = async (rangeKey, start, end) => {
+  const notice = document.getElementById('pause-notice');
+  const now = Date.now();
+  const pausedUntil = await getPausedUntil();
+  const pauses = (await getPauseHistory())
+    .map((pause) => ({ start: Math.max(pause.start, start.getTime()), end: Math.min(pause.end, end.getTime(), now) }))
+    .filter((pause) => pause.end > pause.start);
+
+  if (pauses.length === 0) {
+    notice.style.display = 'none';
+    return;
+  }
+
+  const minutes = Math.round(pauses.reduce((sum, pause) => sum + (pause.end - pause.start), 0) / 60000);
+  const periods = pauses.slice(-3)
+    .map((pause) => `${formatPauseTime(pause.start, rangeKey)}–${formatPauseTime(pause.end, 'today')}`)
+    .join(', ');
+  const parts = [`⏸ Tracking was paused for ${minutes} min in this period (${periods}${pauses.length > 3 ? ', …' : ''})`];
+
+  if (pausedUntil && periodOffset === 0) {
+    parts.push(`paused until ${formatPauseTime(pausedUntil, 'today')}`);
+  }
+
+  notice.textContent = parts.join(' — currently ');
+  notice.style.display = '';
+};
+
 const renderDashboard = async () => {
   try {
     const { start, end } = getRange(activeRange, periodOffset);
@@ -381,12 +802,19 @@ const renderDashboard = async () => {
     await getLocationAndGridInfo();
     updateNavUI();
     
-    document.getElementById("total-impact").textContent = `${formatGrams(total)} CO₂`;
+    document.getElementById("total-impact").textContent = total > 0
+      ? `${formatGrams(total)} (${formatGramsRange(aggregateCarbonRange(events))}) CO₂`
+      : `${formatGrams(total)} CO₂`;
     updateCalculationFormulas(events, total);
     updateEducationComparisons(events, total, activeRange);
-    updateModernEquivalencies(total);
-    renderCategoryChart(categoryTotals);
-    renderPlatformChart(platformTotals);
+    updateModernEquivalencies(total, aggregateCarbonRange(events));
+    renderCategoryChart(aggregateBySubcategory(events), events);
+    renderPlatformChart(platformTotals, events);
+    renderVideoTierChart(events);
+    renderThirdPartyChart(events);
+    renderCacheSavings(events, activeRange, start, end);
+    renderAccessNetworkChart(events);
+    await renderPauseNotice(activeRange, start, end);
     const isCurrentPeriod = periodOffset === 0;
     document.querySelector('.recommendations-card').style.display = isCurrentPeriod ? '' : 'none';
     document.querySelector('.goals-row').style.display = isCurrentPeriod ? '' : 'none';
@@ -480,12 +908,420 @@ const saveDeviceSetting = async (deviceType) => {
       await chrome.storage.sync.set({ deviceType: 'auto' });
     }
     updateDeviceInfo();
+    renderEmbodiedStatus();
     alert('Device setting saved!');
   } catch (error) {
     alert('Error saving device setting');
   }
 };
 
+const renderCalibrationStatus = async () => {
+  const status = document.getElementById('calibration-status');
+  const [settings, data, profile, deviceType] = await Promise.all([
+    getCalibrationSettings(),
+    getCalibrationData(),
+    getDeviceCalibration(),
+    getDeviceType()
+  ]);
+  const calibratedType = getCalibrationDeviceType(data);
+  const progress = `${data.drainedPercent.toFixed(1)}% drained over ${data.hours.toFixed(1)} h`;
+
+  if (profile) {
+    const { level, score } = profile.confidence;
+    status.textContent = `✅ Calibrated: ${profile.watts}W — ${level} confidence (${Math.round(score * 100)}%, ${progress})`;
+  } else if (!settings.enabled) {
+    status.textContent = 'Off — using the preset wattage for your device type.';
+  } else if (calibratedType !== deviceType && data.drainedPercent > 0) {
+    status.textContent = `⚠️ Samples were collected on a ${calibratedType}, so they aren't used while ` +
+      `Device Type says ${deviceType}. New samples will start over.`;
+  } else if (data.unavailable) {
+    status.textContent = '⚠️ Battery status isn\'t available in this browser.';
+  } else if (data.charging !== false) {
+    status.textContent = '🔌 Waiting — unplug the charger and browse to collect samples.';
+  } else {
+    status.textContent = `⏳ Collecting: ${progress} (needs ${MIN_CALIBRATION_PERCENT}% before it's used; no confidence yet)`;
+  }
+};
+
+const loadCalibrationSetting = async () => {
+  try {
+    const settings = await getCalibrationSettings();
+    document.getElementById('calibration-enabled').checked = settings.enabled;
+    document.getElementById('battery-capacity').value = settings.capacityWh;
+    await renderCalibrationStatus();
+  } catch (error) {
+    // Silently fail - use defaults
+  }
+};
+
+const saveCalibrationEnabled = async (enabled) => {
+  try {
+    await saveCalibrationSettings({ enabled });
+    await renderCalibrationStatus();
+  } catch (error) {
+    alert('Error saving calibration setting');
+  }
+};
+
+const saveBatteryCapacity = async () => {
+  const capacityWh = parseFloat(document.getElementById('battery-capacity').value);
+  if (!(capacityWh >= 10 && capacityWh <= 200)) {
+    alert('Enter your battery capacity in watt-hours (usually 40-100 Wh for a laptop)');
+    return;
+  }
+
+  try {
+    await saveCalibrationSettings({ capacityWh });
+    await renderCalibrationStatus();
+    updateDeviceInfo();
+    alert('Battery capacity saved!');
+  } catch (error) {
+    alert('Error saving battery capacity');
+  }
+};
+
+const resetCalibration = async () => {
+  try {
+    await resetCalibrationData();
+    await renderCalibrationStatus();
+    updateDeviceInfo();
+  } catch (error) {
+    alert('Error resetting calibration');
+  }
+};
+
+const renderEmbodiedStatus = async () => {
+  const status = document.getElementById('embodied-status');
+  const profile = await getEmbodiedProfile();
+
+  document.getElementById('device-lifetime').placeholder = `Lifetime (${profile.lifetimeYears} years)`;
+  document.getElementById('device-embodied-kg').placeholder = `Embodied (${profile.kgCO2e} kgCO₂e)`;
+
+  status.textContent = profile.enabled
+    ? `🏭 ${formatGrams(profile.gramsPerMinute * 60)} CO₂e per hour of browsing — ${profile.kgCO2e} kg spread over ` +
+      `${profile.lifetimeYears} years at ${profile.activeHoursPerDay} h/day (${profile.deviceType})`
+    : 'Off — only electricity is counted.';
+};
+
+const loadDeviceProfileSetting = async () => {
+  try {
+    const profile = await getDeviceProfile();
+    document.getElementById('embodied-enabled').checked = profile.embodiedEnabled;
+    document.getElementById('device-purchase-year').value = profile.purchaseYear ?? '';
+    document.getElementById('device-lifetime').value = profile.lifetimeYears ?? '';
+    document.getElementById('device-embodied-kg').value = profile.embodiedKg ?? '';
+    await renderEmbodiedStatus();
+  } catch (error) {
+    // Silently fail - use defaults
+  }
+};
+
+const saveEmbodiedEnabled = async (embodiedEnabled) => {
+  try {
+    await saveDeviceProfile({ embodiedEnabled });
+    await renderEmbodiedStatus();
+  } catch (error) {
+    alert('Error saving embodied carbon setting');
+  }
+};
+
+const saveDeviceProfileSetting = async () => {
+  // Empty fields go back to the figures for the device type
+  const readNumber = (id) => {
+    const value = document.getElementById(id).value;
+    return value === '' ? null : parseFloat(value);
+  };
+  const purchaseYear = readNumber('device-purchase-year');
+  if (purchaseYear !== null && !(purchaseYear >= 2000 && purchaseYear <= new Date().getFullYear())) {
+    alert(`Enter a purchase year between 2000 and ${new Date().getFullYear()}`);
+    return;
+  }
+
+  try {
+    await saveDeviceProfile({
+      purchaseYear,
+      lifetimeYears: readNumber('device-lifetime'),
+      embodiedKg: readNumber('device-embodied-kg')
+    });
+    await loadDeviceProfileSetting();
+    alert('Device profile saved!');
+  } catch (error) {
+    alert('Error saving device profile');
+  }
+};
+
+const loadIdleSetting = async () => {
+  try {
+    const result = await chrome.storage.sync.get('idleThresholdMinutes');
+    if (result.idleThresholdMinutes) {
+      document.getElementById('idle-threshold').value = result.idleThresholdMinutes.toString();
+    }
+  } catch (error) {
+    // Silently fail - use defaults
+  }
+};
+
+const saveIdleSetting = async (minutes) => {
+  try {
+    await chrome.storage.sync.set({ idleThresholdMinutes: minutes });
+    alert('Idle timeout saved!');
+  } catch (error) {
+    alert('Error saving idle timeout');
+  }
+};
+
+const loadTrackingControls = async () => {
+  try {
+    document.getElementById('excluded-domains').value = (await getExcludedDomains()).join('\n');
+    document.getElementById('skip-incognito').checked = await getSkipIncognito();
+  } catch (error) {
+    // Silently fail - use defaults
+  }
+};
+
+const saveExcludedDomainsSetting = async () => {
+  try {
+    const domains = await saveExcludedDomains(document.getElementById('excluded-domains').value.split(/[\s,]+/));
+    document.getElementById('excluded-domains').value = domains.join('\n');
+    alert('Excluded sites saved! Reload open tabs on those sites to stop tracking them.');
+  } catch (error) {
+    alert('Error saving excluded sites');
+  }
+};
+
+const saveSkipIncognitoSetting = async (skip) => {
+  try {
+    await setSkipIncognito(skip);
+    alert('Incognito setting saved!');
+  } catch (error) {
+    alert('Error saving incognito setting');
+  }
+};
+
+const loadPrivacySetting = async () => {
+  try {
+    document.getElementById('privacy-level').value = await getPrivacyLevel();
+  } catch (error) {
+    // Silently fail - use defaults
+  }
+};
+
+const savePrivacySetting = async (level) => {
+  const select = document.getElementById('privacy-level');
+  const current = await getPrivacyLevel();
+
+  if (isStricterLevel(level, current) &&
+      !confirm('URLs already stored will be trimmed to this level too. This can\'t be undone. Continue?')) {
+    select.value = current;
+    return;
+  }
+
+  try {
+    await setPrivacyLevel(level);
+    alert('URL retention saved!');
+  } catch (error) {
+    select.value = current;
+    alert('Error saving URL retention');
+  }
+};
+
+const renderCarbonModelHelp = (model) => {
+  document.getElementById('carbon-model-help').textContent =
+    `${model.description} Applies to pages tracked from now on; earlier events keep the model that priced them until you recalculate history.`;
+};
+
+const loadCarbonModelSetting = async () => {
+  const select = document.getElementById('carbon-model');
+  select.innerHTML = Object.values(CARBON_MODELS)
+    .map(model => `<option value="${model.id}">${model.name} (${model.version})</option>`)
+    .join('');
+
+  const model = await getSelectedCarbonModel();
+  select.value = model.id;
+  renderCarbonModelHelp(model);
+};
+
+const saveCarbonModelSetting = async (id) => {
+  try {
+    await setSelectedCarbonModel(id);
+    renderCarbonModelHelp(CARBON_MODELS[id]);
+    alert('Calculation model saved!');
+  } catch (error) {
+    alert('Error saving calculation model');
+  }
+};
+
+const renderRecalculationStatus = (job) => {
+  const status = document.getElementById('recalc-status');
+  const button = document.getElementById('start-recalculation');
+  const percent = job?.totalDays > 0 ? Math.round(job.daysDone / job.totalDays * 100) : 0;
+
+  document.getElementById('recalc-progress-fill').style.width = `${job ? percent : 0}%`;
+  button.disabled = job?.status === 'running';
+
+  if (!job) {
+    status.textContent = '';
+  } else if (job.status === 'running') {
+    status.textContent = `⏳ Recalculating ${job.startDate} to ${job.endDate}: day ${job.daysDone} of ${job.totalDays} (${job.eventsDone} events)`;
+  } else if (job.status === 'failed') {
+    status.textContent = `⚠️ Stopped at ${job.nextDate}: ${job.error}. Start again to retry.`;
+  } else {
+    status.textContent = `✅ Recalculated ${job.eventsDone} events from ${job.startDate} to ${job.endDate} on ${new Date(job.finishedAt).toLocaleString()}`;
+  }
+};
+
+// YYYY-MM-DD in local time, matching the daily summary keys
+const getLocalDateKey = (date) =>
+  `${date.getFullYear()}-${`${date.getMonth() + 1}`.padStart(2, '0')}-${`${date.getDate()}`.padStart(2, '0')}`;
+
+const loadRecalculationSetting = async () => {
+  const end = new Date();
+  const start = new Date();
+  start.setDate(start.getDate() - 29);
+  document.getElementById('recalc-start').value = getLocalDateKey(start);
+  document.getElementById('recalc-end').value = getLocalDateKey(end);
+
+  renderRecalculationStatus(await getRecalculationJob());
+};
+
+const startRecalculationJob = async () => {
+  const startDate = document.getElementById('recalc-start').value;
+  const endDate = document.getElementById('recalc-end').value;
+
+  const response = await new Promise((resolve) => {
+    chrome.runtime.sendMessage({ type: 'START_RECALCULATION', startDate, endDate }, (result) => {
+      resolve(result || { ok: false, error: 'No response from the background worker' });
+    });
+  });
+
+  if (!response.ok) alert(`Couldn't start the recalculation: ${response.error}`);
+};
+
+const renderRuleOptions = (options, selected) => Object.entries(options)
+  .map(([value, label]) => `<option value="${value}"${value === selected ? ' selected' : ''}>${label}</option>`)
+  .join('');
+
+// Subcategories, labelled with the category they roll up to
+const CATEGORY_OPTIONS = Object.fromEntries(
+  Object.entries(CATEGORY_TAXONOMY).map(([key, { name, parent }]) => [key, `${name} (${CATEGORY_DISPLAY_NAMES[parent]})`])
+);
+
+// Rules saved before subcategories existed may use a top-level category
+const getRuleCategoryOptions = (category) => CATEGORY_OPTIONS[category]
+  ? CATEGORY_OPTIONS
+  : { ...CATEGORY_OPTIONS, [category]: getCategoryDisplayName(category) };
+
+const renderCategoryRuleRows = (rules) => {
+  const container = document.getElementById('category-rules');
+  container.innerHTML = rules.length > 0
+    ? rules.map((rule, index) => `
+      <div class="rule-row" data-index="${index}">
+        <select class="setting-input rule-type">${renderRuleOptions(RULE_TYPES, rule.type)}</select>
+        <input type="text" class="setting-input rule-pattern" placeholder="youtube.com/shorts">
+        <select class="setting-input rule-category">${renderRuleOptions(getRuleCategoryOptions(rule.category), rule.category)}</select>
+        <button class="rule-button" data-action="up" title="Move up"${index === 0 ? ' disabled' : ''}>↑</button>
+        <button class="rule-button" data-action="down" title="Move down"${index === rules.length - 1 ? ' disabled' : ''}>↓</button>
+        <button class="rule-button" data-action="remove" title="Remove">✕</button>
+      </div>
+    `).join('')
+    : '<p class="setting-help">No custom rules yet.</p>';
+
+  // Set patterns as values so user text is never parsed as HTML
+  container.querySelectorAll('.rule-pattern').forEach((input, index) => {
+    input.value = rules[index].pattern;
+  });
+};
+
+const readCategoryRuleRows = () =>
+  [...document.querySelectorAll('#category-rules .rule-row')].map((row) => ({
+    type: row.querySelector('.rule-type').value,
+    pattern: row.querySelector('.rule-pattern').value.trim(),
+    category: row.querySelector('.rule-category').value
+  }));
+
+const loadCategoryRules = async () => {
+  renderCategoryRuleRows(await getCategoryRules());
+};
+
+const handleCategoryRuleAction = (e) => {
+  const button = e.target.closest('button[data-action]');
+  if (!button) return;
+
+  const rules = readCategoryRuleRows();
+  const index = Number(button.closest('.rule-row').dataset.index);
+  const action = button.dataset.action;
+
+  if (action === 'remove') {
+    rules.splice(index, 1);
+  } else {
+    const target = action === 'up' ? index - 1 : index + 1;
+    if (target < 0 || target >= rules.length) return;
+    [rules[index], rules[target]] = [rules[target], rules[index]];
+  }
+  renderCategoryRuleRows(rules);
+};
+
+const addCategoryRule = () => {
+  renderCategoryRuleRows([...readCategoryRuleRows(), { type: 'suffix', pattern: '', category: DEFAULT_SUBCATEGORY }]);
+  const patterns = document.querySelectorAll('#category-rules .rule-pattern');
+  patterns[patterns.length - 1]?.focus();
+};
+
+const saveCategoryRulesSetting = async () => {
+  const rules = readCategoryRuleRows();
+  const invalid = rules.find((rule) => {
+    if (!rule.pattern) return true;
+    if (rule.type !== 'regex') return false;
+    try {
+      new RegExp(rule.pattern);
+      return false;
+    } catch {
+      return true;
+    }
+  });
+
+  if (invalid) {
+    alert(invalid.pattern ? `Invalid regex: ${invalid.pattern}` : 'Every rule needs a pattern');
+    return;
+  }
+
+  try {
+    renderCategoryRuleRows(await saveCategoryRules(rules));
+    alert('Category rules saved! Past activity will be re-categorized.');
+  } catch (error) {
+    alert('Error saving category rules (sync storage allows about 8 KB of rules)');
+  }
+};
+
+const testCategoryRule = () => {
+  const resultEl = document.getElementById('rule-test-result');
+  const input = document.getElementById('rule-test-url').value.trim();
+  if (!input) {
+    resultEl.textContent = '';
+    return;
+  }
+
+  let url;
+  try {
+    url = new URL(/^[a-z]+:\/\//i.test(input) ? input : `https://${input}`);
+  } catch {
+    resultEl.textContent = 'Not a valid URL';
+    return;
+  }
+
+  const host = url.hostname.replace(/^www\./, '');
+  const rules = readCategoryRuleRows();
+  const rule = findMatchingRule(host, url.pathname, rules);
+  const category = getCategoryDisplayName(rule?.category || DEFAULT_SUBCATEGORY);
+  const source = !rule
+    ? 'no rule matched (default)'
+    : rule.isDefault
+    ? `built-in rule "${rule.pattern}"`
+    : `your rule #${rules.indexOf(rule) + 1} "${rule.pattern}"`;
+
+  resultEl.textContent = `${category} — ${source}`;
+};
+
 // Test API key with real API call
 const testApiKey = async (apiKey) => {
   try {
@@ -579,6 +1415,7 @@ const updateGoalProgress = async () => {
   const events = await trackingStorage.getEventsInRange(periodStart, now);
   const categoryTotals = aggregateByCategory(events);
   const currentCarbon = Object.values(categoryTotals).reduce((sum, v) => sum + v, 0);
+  const currentRange = aggregateCarbonRange(events);
   
   // Calculate progress
   const progress = calculateProgress(currentCarbon, goal);
@@ -587,7 +1424,9 @@ const updateGoalProgress = async () => {
   progressBar.style.width = `${progress.percentage}%`;
   
   const barLabel = document.getElementById('progress-bar-label');
-  barLabel.textContent = `${currentCarbon.toFixed(1)}g / ${goal.amount}g`;
+  barLabel.textContent = currentCarbon > 0
+    ? `${currentCarbon.toFixed(1)}g (${formatGramsRange(currentRange)}) / ${goal.amount}g`
+    : `${currentCarbon.toFixed(1)}g / ${goal.amount}g`;
   if (progress.status === 'over') {
     progressBar.classList.add('over-goal');
   } else {
@@ -691,22 +1530,31 @@ const exportDataAsCSV = async () => {
     }
     
     // Create CSV content
-    const headers = ['Date', 'Time', 'Platform', 'Category', 'Carbon (g)', 'Data (MB)', 'Time (min)', 'Grid (gCO2/kWh)', 'Zone'];
+    const headers = ['Date', 'Time', 'Platform', 'Category', 'Subcategory', 'Carbon (g)', 'Carbon low (g)', 'Carbon high (g)', 'Data (MB)', 'Upload (MB)', 'Third-party (MB)', 'Cached (MB)', 'Connection', 'Time (min)', 'Grid (gCO2/kWh)', 'Zone', 'Model'];
     const rows = events.map(event => {
       const date = new Date(event.timestamp);
       const dateStr = date.toLocaleDateString('en-US');
       const timeStr = date.toLocaleTimeString('en-US');
+      const range = getEventCarbonRange(event);
       
       return [
         dateStr,
         timeStr,
         event.platform || 'unknown',
-        event.type || 'browsing',
+        getParentCategory(event.type || DEFAULT_SUBCATEGORY),
+        getCategoryDisplayName(event.type || DEFAULT_SUBCATEGORY),
         (event.carbonGrams || 0).toFixed(2),
+        range.low.toFixed(2),
+        range.high.toFixed(2),
         (event.data?.totalMB || 0).toFixed(2),
+        (event.data?.uploadMB || 0).toFixed(2),
+        (event.data?.thirdPartyMB || 0).toFixed(2),
+        (event.data?.cachedMB || 0).toFixed(2),
+        ACCESS_NETWORK_ENERGY[getAccessNetwork(event.data?.connection)].label,
         (event.data?.timeActive || 0).toFixed(2),
         event.data?.gridIntensity || BASELINE_GRID_INTENSITY,
-        event.data?.gridZone || 'N/A'
+        event.data?.gridZone || 'N/A',
+        getCarbonModelLabel(event.data?.carbonModel)
       ];
     });
     
@@ -805,6 +1653,14 @@ document.addEventListener("DOMContentLoaded", () => {
   bindNavButtons();
   initModals();
   loadDeviceSetting();
+  loadIdleSetting();
+  loadCalibrationSetting();
+  loadDeviceProfileSetting();
+  loadTrackingControls();
+  loadPrivacySetting();
+  loadCarbonModelSetting();
+  loadRecalculationSetting();
+  loadCategoryRules();
   loadApiKey();
   loadCurrentGoal();
   updateDeviceInfo();
@@ -814,6 +1670,59 @@ document.addEventListener("DOMContentLoaded", () => {
     saveDeviceSetting(e.target.value);
   });
   
+  document.getElementById('carbon-model').addEventListener('change', (e) => {
+    saveCarbonModelSetting(e.target.value);
+  });
+
+  document.getElementById('start-recalculation').addEventListener('click', startRecalculationJob);
+
+  // Progress is written by the background job after every day
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName !== 'local' || !changes[RECALCULATION_JOB_KEY]) return;
+    const job = changes[RECALCULATION_JOB_KEY].newValue;
+    renderRecalculationStatus(job);
+    if (job?.status === 'done') renderDashboard();
+  });
+
+  document.getElementById('idle-threshold').addEventListener('change', (e) => {
+    saveIdleSetting(parseInt(e.target.value));
+  });
+
+  document.getElementById('calibration-enabled').addEventListener('change', (e) => {
+    saveCalibrationEnabled(e.target.checked);
+  });
+  document.getElementById('save-battery-capacity').addEventListener('click', saveBatteryCapacity);
+  document.getElementById('embodied-enabled').addEventListener('change', (e) => {
+    saveEmbodiedEnabled(e.target.checked);
+  });
+  document.getElementById('save-device-profile').addEventListener('click', saveDeviceProfileSetting);
+  document.getElementById('reset-calibration').addEventListener('click', resetCalibration);
+
+  // Samples arrive from the background while the dashboard is open
+  chrome.storage.onChanged.addListener((changes, areaName) => {
+    if (areaName === 'local' && changes[CALIBRATION_DATA_KEY]) {
+      renderCalibrationStatus();
+      updateDeviceInfo();
+    }
+  });
+  
+  document.getElementById('save-excluded-domains').addEventListener('click', saveExcludedDomainsSetting);
+  document.getElementById('skip-incognito').addEventListener('change', (e) => {
+    saveSkipIncognitoSetting(e.target.checked);
+  });
+
+  document.getElementById('privacy-level').addEventListener('change', (e) => {
+    savePrivacySetting(e.target.value);
+  });
+
+  document.getElementById('category-rules').addEventListener('click', handleCategoryRuleAction);
+  document.getElementById('add-category-rule').addEventListener('click', addCategoryRule);
+  document.getElementById('save-category-rules').addEventListener('click', saveCategoryRulesSetting);
+  document.getElementById('test-category-rule').addEventListener('click', testCategoryRule);
+  document.getElementById('rule-test-url').addEventListener('keydown', (e) => {
+    if (e.key === 'Enter') testCategoryRule();
+  });
+
   document.getElementById('save-api-key').addEventListener('click', saveApiKey);
   
   document.getElementById('export-csv').addEventListener('click', exportDataAsCSV);
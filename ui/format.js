@@ -0,0 +1,21 @@
+/**
+ * Carbon number formatting shared by the popup and the dashboard
+ */
+
+export const formatGrams = (grams) => {
+  if (grams >= 1000) return `${(grams / 1000).toFixed(2)} kg`;
+  return `${grams.toFixed(1)} g`;
+};
+
+// Two significant figures; the bounds aren't known any better than that
+const formatBound = (value) => `${+value.toPrecision(2)}`;
+
+const formatRangeBound = (grams) => {
+  if (grams >= 1000) return `${formatBound(grams / 1000)} kg`;
+  return `${formatBound(grams)} g`;
+};
+
+export const formatGramsRange = ({ low, high }) => `${formatRangeBound(low)}–${formatRangeBound(high)}`;
+
+// For unitless figures derived from a carbon range (miles, phone charges, ...)
+export const formatValueRange = ({ low, high }) => `${formatBound(low)}–${formatBound(high)}`;
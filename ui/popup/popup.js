@@ -1,13 +1,14 @@
 import { TrackingStorage } from "../../storage/tracking-storage.js";
-import { aggregateByCategory, calculateEquivalencies } from "../../calculators/carbon-calculator.js";
+import { aggregateByCategory, aggregateCarbonRange, calculateEquivalencies } from "../../calculators/carbon-calculator.js";
+import { DEFAULT_SUBCATEGORY, getParentCategory } from "../../config/categories.js";
+import { getPausedUntil, pauseTracking, resumeTracking } from "../../storage/tracking-controls-storage.js";
+import { formatGrams, formatGramsRange } from "../format.js";
 
 const trackingStorage = new TrackingStorage();
 let categoryChart = null;
 
-const formatGrams = (grams) => {
-  if (grams >= 1000) return `${(grams / 1000).toFixed(2)} kg`;
-  return `${grams.toFixed(1)} g`;
-};
+const getCategoryRange = (events, category) =>
+  aggregateCarbonRange(events.filter(event => getParentCategory(event.type || DEFAULT_SUBCATEGORY) === category));
 
 const renderCategoryChart = (categoryTotals) => {
   const ctx = document.getElementById("category-chart");
@@ -97,16 +98,17 @@ const renderPopup = async () => {
     const carbonRate = mostRecentEvent?.carbonRate ? `${mostRecentEvent.carbonRate} g CO2/hr` : 'N/A';
     const categoryTotals = aggregateByCategory(events);
     const total = Object.values(categoryTotals).reduce((sum, value) => sum + value, 0);
-    const media = categoryTotals.media || 0;
-    const shopping = categoryTotals.shopping || 0;
-    const browsing = categoryTotals.browsing || 0;
 
     document.getElementById("today-total").textContent = formatGrams(total);
+    document.getElementById("today-range").textContent = total > 0 ? `(${formatGramsRange(aggregateCarbonRange(events))})` : '';
 
     renderCategoryChart(categoryTotals);
-    document.getElementById("value-media").textContent = formatGrams(media);
-    document.getElementById("value-shopping").textContent = formatGrams(shopping);
-    document.getElementById("value-browsing").textContent = formatGrams(browsing);
+    ['media', 'shopping', 'browsing'].forEach((category) => {
+      const grams = categoryTotals[category] || 0;
+      document.getElementById(`value-${category}`).textContent = grams > 0
+        ? `${formatGrams(grams)} (${formatGramsRange(getCategoryRange(events, category))})`
+        : formatGrams(grams);
+    });
 
     document.getElementById("quick-insight").textContent = getQuickInsight(total);
 
@@ -119,6 +121,17 @@ const renderPopup = async () => {
   }
 };
 
+const renderPauseState = async () => {
+  const pausedUntil = await getPausedUntil();
+  const status = document.getElementById("pause-status");
+
+  status.textContent = pausedUntil
+    ? `Tracking paused until ${new Date(pausedUntil).toLocaleTimeString([], { hour: "2-digit", minute: "2-digit" })}`
+    : "Tracking is on";
+  status.classList.toggle("paused", Boolean(pausedUntil));
+  document.getElementById("resume-button").style.display = pausedUntil ? "" : "none";
+};
+
 const init = () => {
   renderPopup();
   
@@ -126,6 +139,19 @@ const init = () => {
     if (message.type === "EVENT_SAVED") renderPopup();
   });
   
+  renderPauseState();
+
+  document.getElementById("pause-button").addEventListener("click", async () => {
+    const minutes = Number(document.getElementById("pause-minutes").value);
+    await pauseTracking(minutes);
+    renderPauseState();
+  });
+
+  document.getElementById("resume-button").addEventListener("click", async () => {
+    await resumeTracking();
+    renderPauseState();
+  });
+
   document.getElementById("dashboard-button").addEventListener("click", () => {
     chrome.tabs.create({ url: chrome.runtime.getURL("ui/dashboard/dashboard.html") });
   });